@@ -10,18 +10,24 @@
  * @requires ./parser
  * @requires ./codegen
  * @requires ./constants
+ * @requires ./evaluator
  */
 
 import { Lexer } from './lexer.js';
 import { Parser } from './parser.js';
 import { CodeGenerator } from './codegen.js';
 import { MEMORY } from './constants.js';
+import { BUILTIN_FUNCTIONS } from './evaluator.js';
 
 /**
  * @typedef {Object} AssemblyError
  * @property {string} message - Error message
  * @property {number} line - Line number where error occurred
  * @property {number} column - Column number where error occurred
+ * @property {string} [file] - Included file (or the fileName passed to assemble) the line is in
+ * @property {string} [macro] - Macro the error occurred in, when inside an expansion
+ * @property {number} [macroLine] - Line of the macro body; line is the invocation
+ * @property {string} [macroFile] - File the macro is defined in, when not the main source
  */
 
 /**
@@ -29,12 +35,50 @@ import { MEMORY } from './constants.js';
  * @property {string} message - Warning message
  * @property {number} line - Line number where warning occurred
  * @property {number} column - Column number where warning occurred
+ * @property {string} [file] - Included file (or the fileName passed to assemble) the line is in
+ * @property {string} [macro] - Macro the warning occurred in, when inside an expansion
+ * @property {number} [macroLine] - Line of the macro body; line is the invocation
+ * @property {string} [macroFile] - File the macro is defined in, when not the main source
  */
 
 /**
  * @typedef {Object} Symbol
  * @property {number} address - Address or value of the symbol
- * @property {string} type - Type of symbol ('LABEL', 'EQU', 'DEFL')
+ * @property {string} type - Type of symbol ('LABEL', 'EQU', 'DEFL', 'STRUCT', 'ENUM')
+ * @property {number} [size] - Bytes of data following a label (for SIZEOF)
+ * @property {number} [line] - Source line where the symbol is defined
+ * @property {string} [file] - File the symbol is defined in, when not the main source
+ * @property {string} [parent] - Global label a .local label belongs to (PARENT.LOCAL), or the STRUCT of a field
+ * @property {number} [enum] - ENUM block the symbol was defined in, numbered from 1
+ */
+
+/**
+ * Finds and reads the files named by INCLUDE (and INCBIN) for the assembler.
+ * See createNodeResolver (utils/node-resolver.js) and createMemoryResolver
+ * (utils/memory-resolver.js).
+ * @typedef {Object} FileResolver
+ * @property {function(string, ?string): string} resolve - Path of a file named
+ *   in the source, given the path of the file that names it (null for the main
+ *   source). The path is shown in diagnostics and passed to the read methods.
+ *   Throws if there is no such file.
+ * @property {function(string): string} readText - Contents of a source file
+ * @property {function(string): Uint8Array} readBinary - Contents of a binary file
+ */
+
+/**
+ * @typedef {Object} AssemblerOptions
+ * @property {('allow'|'warn'|'error')} [undocumented='warn'] - How undocumented
+ *   instructions (IXH/IXL/IYH/IYL, SLL, IN (C), OUT (C),0, DDCB copy forms)
+ *   are treated. The .UNDOC ON/WARN/OFF directive overrides this per source line.
+ * @property {('error'|'warn')} [rangeCheck='error'] - Whether a value too wide
+ *   for its field (LD A,300, .DB 1000, .DW 70000) is an error, or a warning for
+ *   legacy code that relies on wrap-around. The value is truncated either way.
+ *   Bit numbers, RST vectors, IM modes, displacements and relative jumps are
+ *   always errors.
+ * @property {number} [maxPasses=10] - Sizing passes allowed for forward references
+ *   to settle before assembly fails with "did not converge".
+ * @property {FileResolver} [fileResolver] - Where INCLUDE finds files. Without
+ *   one, INCLUDE is an error.
  */
 
 /**
@@ -45,7 +89,17 @@ import { MEMORY } from './constants.js';
  * @property {AssemblyError[]} errors - Array of errors encountered
  * @property {AssemblyWarning[]} warnings - Array of warnings generated
  * @property {Object.<string, Symbol>} symbolTable - Symbol table with label addresses
- * @property {Array} [instructions] - Generated instruction objects (if successful)
+ * @property {AssembledInstruction[]} [instructions] - Generated instruction objects (if successful)
+ */
+
+/**
+ * @typedef {Object} AssembledInstruction
+ * @property {('INSTRUCTION'|'DATA')} type - An instruction, or a block of data bytes
+ * @property {number[]} bytes - The bytes emitted
+ * @property {number} address - Address the bytes run at, which labels and $ refer to
+ * @property {number} loadAddress - Address the bytes load at; differs from address inside .PHASE
+ * @property {string} [mnemonic] - Mnemonic of an instruction
+ * @property {Array} [operands] - Typed operands of an instruction
  */
 
 /**
@@ -54,7 +108,7 @@ import { MEMORY } from './constants.js';
  * This is the main entry point for the assembler. It orchestrates the
  * three-stage assembly process:
  * 1. Lexical analysis (tokenization)
- * 2. Parsing (two-pass symbol resolution)
+ * 2. Parsing (multi-pass symbol resolution)
  * 3. Code generation (bytecode emission)
  * 
  * @class
@@ -76,11 +130,54 @@ export class Z80Assembler {
   /**
    * Creates a new Z80Assembler instance
    * Initializes error and warning arrays
+   * 
+   * @param {AssemblerOptions} [options={}] - Assembly options
+   * 
+   * @example
+   * // Assemble demo-scene code that uses IXH/IXL without warnings
+   * const assembler = new Z80Assembler({ undocumented: 'allow' });
    */
-  constructor() {
+  constructor(options = {}) {
+    /** @type {AssemblerOptions} */
+    this.options = { undocumented: 'warn', rangeCheck: 'error', ...options };
+
+    /** @type {Object.<string, import('./evaluator.js').ExpressionFunction>} */
+    this.functions = { ...BUILTIN_FUNCTIONS };
+
     this.reset();
   }
 
+  /**
+   * Registers a function that source expressions can call
+   * 
+   * The function receives the evaluated arguments as an array (string
+   * literals arrive as strings) and a context with the symbol table,
+   * current address and line, and must return an integer. Registering a
+   * built-in name (HIGH, LOW, ...) replaces the built-in for this assembler.
+   * 
+   * @param {string} name - Function name (case-insensitive)
+   * @param {function(Array<(number|string)>, Object): number} apply - Implementation
+   * @param {Object} [options={}] - Calling convention
+   * @param {number} [options.minArgs=0] - Fewest arguments accepted
+   * @param {number} [options.maxArgs=Infinity] - Most arguments accepted
+   * @param {boolean} [options.symbolArgs=false] - Pass symbol names unevaluated, like DEFINED()
+   * @throws {Error} If the name is not an identifier or apply is not a function
+   * 
+   * @example
+   * assembler.registerFunction('SCREEN', ([row, col]) => 0x3C00 + row * 64 + col,
+   *   { minArgs: 2, maxArgs: 2 });
+   * assembler.assemble('LD HL, SCREEN(2, 10)');  // LD HL, $3C8A
+   */
+  registerFunction(name, apply, { minArgs = 0, maxArgs = Infinity, symbolArgs = false } = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid function name: ${name}`);
+    }
+    if (typeof apply !== 'function') {
+      throw new Error(`Function ${name} must be implemented by a function`);
+    }
+    this.functions[name.toUpperCase()] = { minArgs, maxArgs, symbolArgs, apply };
+  }
+
   /**
    * Resets the assembler state
    * Clears all errors and warnings from previous assembly runs
@@ -101,11 +198,14 @@ export class Z80Assembler {
    * Performs a complete assembly process:
    * 1. Validates input
    * 2. Tokenizes source with Lexer
-   * 3. Parses tokens with two-pass Parser
+   * 3. Parses tokens with multi-pass Parser
    * 4. Generates bytecode with CodeGenerator
    * 5. Returns comprehensive results
    * 
    * @param {string} source - Z80 assembly source code
+   * @param {Object} [options={}] - Per-source settings
+   * @param {string} [options.fileName] - Path of the source for the file resolver;
+   *   INCLUDE names are relative to it and diagnostics carry it
    * @returns {AssemblyResult} Complete assembly result with bytecode and metadata
    * 
    * @example
@@ -116,7 +216,7 @@ export class Z80Assembler {
    *   result.errors.forEach(err => console.error(err.message));
    * }
    */
-  assemble(source) {
+  assemble(source, { fileName } = {}) {
     this.reset();
 
     if (typeof source !== 'string') {
@@ -134,23 +234,26 @@ export class Z80Assembler {
       const lexerErrors = tokens.filter(t => t.type === 'ERROR');
       lexerErrors.forEach(e => {
         this.errors.push({
-          message: `Unexpected character: ${e.value}`,
+          message: e.message ?? `Unexpected character: ${e.value}`,
           line: e.line,
-          column: e.column
+          column: e.column,
+          ...(fileName ? { file: fileName } : {})
         });
       });
 
-      const parser = new Parser(tokens);
+      const parser = new Parser(tokens, { ...this.options, functions: this.functions, fileName });
       const result = parser.parse();
 
       this.errors.push(...result.errors);
       this.warnings.push(...result.warnings);
 
-      // Generate bytecode
-      // Pass the symbol table by reference so codegen can update addresses
-      const codegen = new CodeGenerator(result.symbolTable, result.startAddress);
+      // Generate bytecode at the addresses the parser assigned
+      const codegen = new CodeGenerator(result.symbolTable, result.startAddress, this.options);
       const instructions = codegen.generate(result.instructions);
 
+      this.errors.push(...codegen.errors);
+      this.warnings.push(...codegen.warnings);
+
       const bytes = this.assembleBytes(instructions);
 
       return {
@@ -159,7 +262,7 @@ export class Z80Assembler {
         startAddress: result.startAddress,
         errors: this.errors,
         warnings: this.warnings,
-        symbolTable: codegen.symbolTable, // Use updated symbol table from codegen
+        symbolTable: codegen.symbolTable,
         instructions: instructions // Include generated instructions
       };
 
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Character maps for string data and character constants
+ *
+ * A character map gives the byte the assembler emits for each character of a
+ * string or character constant. .CHARMAP selects one of the built-in maps, or
+ * adds characters to the current one. A character the map has no byte for is
+ * an error, rather than whatever its Unicode value truncates to.
+ *
+ * @module charmaps
+ */
+
+/**
+ * The lexer turns a \xNN escape into this character plus NN (a private-use
+ * character), so it stands for byte NN in every map
+ * @type {number}
+ */
+export const RAW_BYTE_BASE = 0xF700;
+
+/**
+ * Character codes from first to last, as [character, byte] pairs that map each to itself
+ * @private
+ */
+function identity(first, last) {
+  return Array.from({ length: last - first + 1 }, (_, i) => [String.fromCharCode(first + i), first + i]);
+}
+
+/**
+ * The TRS-80 2x3 block graphics ($80-$BF) as Unicode block elements and sextants
+ * (U+1FB00-U+1FB3B, which number the blocks the same way: bit 0 top left, bit 1
+ * top right, ... bit 5 bottom right). The blank block is left to the space.
+ * @private
+ */
+function blockGraphics() {
+  const special = { 21: '▌', 42: '▐', 63: '█' }; // left half, right half, full
+  const pairs = [];
+  for (let bits = 1; bits < 64; bits++) {
+    const sextant = bits - 1 - (bits > 21 ? 1 : 0) - (bits > 42 ? 1 : 0); // sextants skip the two halves
+    pairs.push([special[bits] ?? String.fromCodePoint(0x1FB00 + sextant), 0x80 + bits]);
+  }
+  return pairs;
+}
+
+const CONTROL = identity(0x00, 0x1F); // \n, \r, \t, \0 and other control codes pass through
+
+/**
+ * Built-in character maps, selected with .CHARMAP name
+ *
+ * - ASCII (the default): control codes and printable ASCII ($20-$7E)
+ * - MODEL3: TRS-80 Model III video codes: ASCII with lowercase, and block graphics
+ *   characters for $80-$BF
+ * - MODEL1: TRS-80 Model I without the lowercase modification: lowercase
+ *   letters become capitals, and the characters it cannot show ({ | } ~ `) are errors
+ *
+ * @type {Object.<string, Map<string, number>>}
+ * @readonly
+ */
+export const CHARMAPS = {
+  ASCII: new Map([...CONTROL, ...identity(0x20, 0x7E)]),
+  MODEL3: new Map([...CONTROL, ...identity(0x20, 0x7E), ...blockGraphics()]),
+  MODEL1: new Map([
+    ...CONTROL,
+    ...identity(0x20, 0x5F),
+    ...identity(0x41, 0x5A).map(([char, code]) => [char.toLowerCase(), code]),
+    ...blockGraphics()
+  ])
+};
+
+/**
+ * Byte for a character in a character map
+ *
+ * @param {Map<string, number>} codes - Character map, e.g. CHARMAPS.ASCII
+ * @param {string} char - One character (code point)
+ * @returns {number|undefined} The byte, or undefined if the map has none
+ *
+ * @example
+ * mapCharacter(CHARMAPS.MODEL1, 'a');  // 0x41
+ * mapCharacter(CHARMAPS.MODEL3, '█');  // 0xBF (full block)
+ */
+export function mapCharacter(codes, char) {
+  const point = char.codePointAt(0);
+  if (point >= RAW_BYTE_BASE && point <= RAW_BYTE_BASE + 0xFF) {
+    return point - RAW_BYTE_BASE;
+  }
+  return codes.get(char);
+}
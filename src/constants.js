@@ -61,6 +61,35 @@ export const TOKEN = {
   COMMENT:    'COMMENT'
 };
 
+/**
+ * Instruction operand kinds
+ *
+ * The parser produces one typed operand object per instruction operand,
+ * so the addressing mode is decided by syntax rather than by value:
+ *
+ * - `{ type: REGISTER, name }` - A, HL, IX, IXH, AF', I, R
+ * - `{ type: INDIRECT, register }` - (HL), (BC), (DE), (SP), (C)
+ * - `{ type: IMMEDIATE, value }` - n / nn
+ * - `{ type: MEMORY, address }` - (nn), or (n) for IN/OUT ports
+ * - `{ type: INDEXED, register, displacement, written }` - (IX+d), (IY+d); written is
+ *   false for a bare (IX), which JP (IX) needs
+ * - `{ type: CONDITION, name }` - NZ, Z, NC, C, PO, PE, P, M
+ *
+ * Values and addresses are numbers, or `{ type: 'LABEL_REF', name }` until
+ * the code generator resolves them.
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const OPERAND = {
+  REGISTER:   'REGISTER',
+  INDIRECT:   'INDIRECT',
+  IMMEDIATE:  'IMMEDIATE',
+  MEMORY:     'MEMORY',
+  INDEXED:    'INDEXED',
+  CONDITION:  'CONDITION'
+};
+
 /**
  * Z80 8-bit register encoding
  * 
@@ -287,12 +316,26 @@ export const REGISTERS = new Set([
  * 
  * Supported directives:
  * - .ORG/.org: Set origin address
- * - .DB/.db/DEFB: Define byte(s)
+ * - .DB/.db/DEFB/DEFM: Define byte(s)
+ * - .ASCII/.ASCIZ/.ASCIIT/DC/.PSTR: Strings as is, zero-terminated, bit-7-terminated or length-prefixed
+ * - .CHARMAP: Character map for strings and character constants
  * - .DW/.dw/DEFW: Define word(s) - 16-bit little-endian
- * - .DS/.ds/DEFS: Define space - reserve bytes
+ * - .DS/.ds/DEFS: Define space - reserve bytes, filled with 0 or a given byte
+ * - .FILL/ALIGN: Repeat a value; pad to a power-of-two boundary
  * - .EQU/.equ: Define constant (immutable)
  * - .DEFL/.defl: Define label (mutable)
  * - .END/.end: End of source (optional)
+ * - .UNDOC ON/WARN/OFF: Allow, warn about or reject undocumented instructions
+ * - .PHASE/.DEPHASE: Code that runs at a different address from where it loads
+ * - ASSERT expr[,"message"], .ERROR/.WARNING "text": Diagnostics from the source
+ * - INCLUDE "file": Assemble another source file in place (needs a file resolver)
+ * - INCBIN "file"[,offset[,length]]: Insert the bytes of a binary file
+ * - MACRO/ENDM: Define a macro; LOCAL and EXITM are used inside macro bodies
+ * - REPT/IRP/IRPC ... ENDR: Repeat a block of lines
+ * - IF/ELSEIF/ELSE/ENDIF, IFDEF/IFNDEF, IFB/IFNB: Conditional assembly
+ * - MODULE/ENDMODULE, PROC/ENDP, PUBLIC: Label scopes
+ * - STRUCT/ENDS: Record layout with name.field offsets; name [values] emits a record
+ * - ENUM/ENDE: Consecutively numbered constants
  * 
  * @type {Set<string>}
  * @readonly
@@ -313,6 +356,85 @@ export const DIRECTIVES = new Set([
   'DEFB',  // Define byte (same as .DB)
   'DEFW',  // Define word (same as .DW)
   'DEFM',  // Define message (same as .DB with string)
-  'DEFS'   // Define space (same as .DS)
+  'DEFS',  // Define space (same as .DS)
+
+  // Filling and alignment
+  '.FILL', 'FILL',    // FILL count,value[,width] - count values of 1 or 2 bytes
+  '.ALIGN', 'ALIGN',  // ALIGN boundary[,fill] - pad up to a multiple of a power of two
+
+  // Strings (also accept .DB-style byte values)
+  '.ASCII', 'ASCII',     // Characters as they are
+  '.ASCIZ', 'ASCIZ',     // Followed by a zero byte
+  '.ASCIIT', 'ASCIIT',   // Last character with bit 7 set
+  '.DC', 'DC',           // Same as .ASCIIT
+  '.PSTR', 'PSTR',       // Preceded by a length byte
+  '.CHARMAP', 'CHARMAP', // .CHARMAP ASCII|MODEL3|MODEL1, or .CHARMAP "chars", code
+
+  // Assembler control
+  '.UNDOC', 'UNDOC',  // Undocumented instructions: ON, WARN (default) or OFF
+  '.PHASE', 'PHASE',      // PHASE address - assemble to run at address, loading where the code is
+  '.DEPHASE', 'DEPHASE',  // End of PHASE block
+
+  // User diagnostics
+  'ASSERT', '.ASSERT',  // ASSERT expr[,"message"] - error unless expr is true
+  '.ERROR',             // .ERROR "text" - report an error (not ERROR, a common label)
+  '.WARNING',           // .WARNING "text" - report a warning
+
+  // Source files
+  'INCLUDE', '.INCLUDE',  // INCLUDE "file" - read through the fileResolver option
+  'INCBIN', '.INCBIN',    // INCBIN "file"[,offset[,length]] - bytes of a binary file
+
+  // Macros
+  'MACRO', '.MACRO',  // MACRO name [param[=default], ...] / name MACRO [params]
+  'ENDM', '.ENDM',    // End of macro body
+  'LOCAL', '.LOCAL',  // Labels renamed uniquely in each expansion
+  'EXITM', '.EXITM',  // Stop expanding the current macro or repeat block
+
+  // Repetition
+  'REPT', '.REPT',    // REPT count[,counter]
+  'IRP', '.IRP',      // IRP sym,<item,...>[,counter] - once per item
+  'IRPC', '.IRPC',    // IRPC sym,"chars"[,counter] - once per character
+  'ENDR', '.ENDR',    // End of repeat body
+
+  // Conditional assembly
+  'IF', '.IF',          // IF expr - assemble the block when expr is non-zero
+  'ELSEIF', '.ELSEIF',  // ELSEIF expr
+  'ELSE', '.ELSE',
+  'ENDIF', '.ENDIF',
+  'IFDEF', '.IFDEF',    // IFDEF symbol - symbol defined earlier in the source
+  'IFNDEF', '.IFNDEF',
+  'IFB', '.IFB',        // IFB <arg> - argument is blank (for macro parameters)
+  'IFNB', '.IFNB',
+
+  // Label scopes
+  'MODULE', '.MODULE',        // MODULE name - labels inside are name.label
+  'ENDMODULE', '.ENDMODULE',
+  'PROC', '.PROC',            // name PROC / PROC name - a routine with its own labels
+  'ENDP', '.ENDP',
+  'PUBLIC', '.PUBLIC',        // PUBLIC name[, name...] - define these names outside the scope
+
+  // Structures
+  'STRUCT', '.STRUCT',  // name STRUCT / STRUCT name - fields define name.field offsets
+  'ENDS', '.ENDS',      // End of structure (optionally name ENDS)
+
+  // Enumerations
+  'ENUM', '.ENUM',      // ENUM [start[,step]] - one name (or name = value) per line
+  'ENDE', '.ENDE'       // End of enumeration
+]);
+
+/**
+ * Directives without the dot that are also likely label names (FILL, ALIGN,
+ * MODULE, ...). The lexer makes them directives only where a directive goes,
+ * first on the line or after its label, and labels anywhere else, so sources
+ * that use them as names still assemble. The original dotless directives
+ * (ORG, DB, EQU, ...) are reserved everywhere.
+ * @type {Set<string>}
+ * @readonly
+ */
+export const POSITIONAL_DIRECTIVES = new Set([
+  'FILL', 'ALIGN', 'ASCII', 'ASCIZ', 'ASCIIT', 'DC', 'PSTR', 'CHARMAP', 'UNDOC', 'ASSERT',
+  'INCLUDE', 'INCBIN', 'MACRO', 'ENDM', 'LOCAL', 'EXITM', 'REPT', 'IRP', 'IRPC', 'ENDR',
+  'IF', 'ELSEIF', 'ELSE', 'ENDIF', 'IFDEF', 'IFNDEF', 'IFB', 'IFNB',
+  'MODULE', 'ENDMODULE', 'PROC', 'ENDP', 'PUBLIC', 'STRUCT', 'ENDS', 'ENUM', 'ENDE', 'PHASE', 'DEPHASE'
 ]);
 
@@ -5,30 +5,203 @@
  * in Z80 assembly source code. Supports standard operators, parentheses,
  * label references, and the current address symbol ($).
  * 
- * Grammar (operator precedence):
+ * Grammar:
  * ```
- * expression  := additive
- * additive    := multiplicative (('+' | '-') multiplicative)*
- * multiplicative := unary (('*' | '/') unary)*
- * unary       := '-' unary | '+' unary | primary
- * primary     := NUMBER | LABEL | '$' | '(' expression ')'
+ * expression  := binary(1)
+ * binary(p)   := unary (OP binary(q + 1))*   for each OP with precedence q >= p
+ * unary       := ('-' | '+' | '~' | '!') unary | primary
+ * primary     := NUMBER | CHAR | LABEL | '$' | '(' expression ')' | call
+ * CHAR        := STRING of one character ('A' is 65)
+ * call        := FUNCTION '(' [argument (',' argument)*] ')'
+ * argument    := expression | STRING | LABEL (for symbol-taking functions)
  * ```
  * 
+ * Binary operators, from highest to lowest precedence (see BINARY_OPERATORS),
+ * all left-associative:
+ * 
+ * | Precedence | Operators                      |
+ * |------------|--------------------------------|
+ * | 10         | `*` `/` `%` `MOD`              |
+ * | 9          | `+` `-`                        |
+ * | 8          | `<<` `>>` `SHL` `SHR`          |
+ * | 7          | `<` `<=` `>` `>=`              |
+ * | 6          | `=` `==` `<>` `!=`             |
+ * | 5          | `&` `AND`                      |
+ * | 4          | `^` `XOR`                      |
+ * | 3          | `\|` `OR`                      |
+ * | 2          | `&&`                           |
+ * | 1          | `\|\|`                          |
+ * 
+ * Unary `-`, `+`, `~` (bitwise NOT) and `!` (logical NOT) bind tighter than
+ * any binary operator. Comparisons and logical operators yield 1 (true) or
+ * 0 (false). The keyword forms (M80/EDTASM style) are only operators where a
+ * binary operator is expected, so labels with those names still work.
+ * 
  * Supported operators:
- * - Arithmetic: +, -, *, / (integer division)
+ * - Arithmetic: +, -, *, / (integer division, rounding down), % / MOD (remainder, with the sign of the divisor)
+ * - Bitwise: &, |, ^, ~, <<, >> (and AND, OR, XOR, SHL, SHR)
+ * - Comparison: =, ==, <>, !=, <, >, <=, >=
+ * - Logical: &&, ||, !
  * - Grouping: ( )
  * - Special: $ (current program counter)
  * - Labels: Resolved to their addresses
+ * - Functions: HIGH, LOW, DEFINED, SIZEOF, ABS, MIN, MAX, STRLEN (see
+ *   BUILTIN_FUNCTIONS), plus any the host registers with
+ *   Z80Assembler#registerFunction
  * 
  * Expression examples:
  * - `OFFSET + 10` - Add 10 to label address
  * - `$ + 5` - Current address plus 5
  * - `(100 * 2) + LABEL` - Complex expression
  * - `VIDEO_RAM + (64 * row)` - Calculate screen position
+ * - `ADDR >> 8`, `ADDR & $FF` - High and low bytes
+ * - `(FLAGS & MASK) <> 0` - Test bits
+ * - `HIGH(BUFFER)`, `SIZEOF(MESSAGE)` - Function calls
  * 
  * @module evaluator
  */
 
+import { CHARMAPS, mapCharacter } from './charmaps.js';
+
+/**
+ * Binary operators: precedence (higher binds tighter) and implementation
+ * 
+ * @type {Object.<string, {precedence: number, apply: function(number, number, Object): number}>}
+ * @readonly
+ */
+export const BINARY_OPERATORS = {
+  '*':  { precedence: 10, apply: (a, b) => a * b },
+  '/':  { precedence: 10, apply: (a, b, token) => Math.floor(a / nonZero(b, 'Division', token)) },
+  // Floored like /, so a = (a / b) * b + a % b holds for negative operands too
+  '%':  { precedence: 10, apply: (a, b, token) => a - nonZero(b, 'Modulo', token) * Math.floor(a / b) },
+  '+':  { precedence: 9, apply: (a, b) => a + b },
+  '-':  { precedence: 9, apply: (a, b) => a - b },
+  '<<': { precedence: 8, apply: (a, b) => a << b },
+  '>>': { precedence: 8, apply: (a, b) => a >> b },
+  '<':  { precedence: 7, apply: (a, b) => Number(a < b) },
+  '<=': { precedence: 7, apply: (a, b) => Number(a <= b) },
+  '>':  { precedence: 7, apply: (a, b) => Number(a > b) },
+  '>=': { precedence: 7, apply: (a, b) => Number(a >= b) },
+  '=':  { precedence: 6, apply: (a, b) => Number(a === b) },
+  '==': { precedence: 6, apply: (a, b) => Number(a === b) },
+  '<>': { precedence: 6, apply: (a, b) => Number(a !== b) },
+  '!=': { precedence: 6, apply: (a, b) => Number(a !== b) },
+  '&':  { precedence: 5, apply: (a, b) => a & b },
+  '^':  { precedence: 4, apply: (a, b) => a ^ b },
+  '|':  { precedence: 3, apply: (a, b) => a | b },
+  '&&': { precedence: 2, apply: (a, b) => Number(Boolean(a) && Boolean(b)) },
+  '||': { precedence: 1, apply: (a, b) => Number(Boolean(a) || Boolean(b)) }
+};
+
+/**
+ * Keyword spellings of binary operators (M80/EDTASM style)
+ * 
+ * @type {Object.<string, string>}
+ * @readonly
+ */
+export const KEYWORD_OPERATORS = {
+  'MOD': '%', 'SHL': '<<', 'SHR': '>>', 'AND': '&', 'OR': '|', 'XOR': '^'
+};
+
+/**
+ * Unary operators
+ * 
+ * @type {Object.<string, function(number): number>}
+ * @readonly
+ */
+export const UNARY_OPERATORS = {
+  '-': a => -a,
+  '+': a => a,
+  '~': a => ~a,
+  '!': a => Number(!a)
+};
+
+/**
+ * @typedef {Object} ExpressionFunction
+ * @property {number} minArgs - Fewest arguments accepted
+ * @property {number} maxArgs - Most arguments accepted (Infinity for variadic)
+ * @property {boolean} [symbolArgs=false] - Pass arguments as symbol names
+ *   instead of evaluating them (so undefined symbols are not an error)
+ * @property {function(Array<(number|string)>, FunctionContext): number} apply -
+ *   Computes the result from the arguments; string literal arguments arrive as strings
+ */
+
+/**
+ * @typedef {Object} FunctionContext
+ * @property {Object.<string, Object>} symbolTable - Symbols defined so far in this pass
+ * @property {Object.<string, Object>} forwardSymbols - Every symbol as of the previous
+ *   pass (empty in the first pass)
+ * @property {number} currentAddress - Value of $
+ * @property {number} line - Source line of the call
+ */
+
+/**
+ * Built-in expression functions
+ * 
+ * DEFINED and SIZEOF take a symbol name. DEFINED is 1 only for symbols
+ * defined earlier in the source, so it gives the same answer in every pass
+ * (which makes IFNDEF-style guards stable). SIZEOF is the number of bytes
+ * emitted by the .DB/.DW/.DS lines that directly follow a label, and may
+ * refer forward.
+ * 
+ * @type {Object.<string, ExpressionFunction>}
+ * @readonly
+ * 
+ * @example
+ * LD A, HIGH(BUFFER)       ; (BUFFER >> 8) & $FF
+ * LD B, SIZEOF(MESSAGE)    ; length of the data at MESSAGE
+ */
+export const BUILTIN_FUNCTIONS = {
+  HIGH:    { minArgs: 1, maxArgs: 1, apply: ([v]) => (v >> 8) & 0xFF },
+  LOW:     { minArgs: 1, maxArgs: 1, apply: ([v]) => v & 0xFF },
+  ABS:     { minArgs: 1, maxArgs: 1, apply: ([v]) => Math.abs(v) },
+  MIN:     { minArgs: 1, maxArgs: Infinity, apply: args => Math.min(...args) },
+  MAX:     { minArgs: 1, maxArgs: Infinity, apply: args => Math.max(...args) },
+  STRLEN:  {
+    minArgs: 1, maxArgs: 1,
+    apply: ([s], { line }) => {
+      if (typeof s !== 'string') {
+        throw new Error(`STRLEN expects a string at line ${line}`);
+      }
+      return [...s].length;
+    }
+  },
+  DEFINED: {
+    minArgs: 1, maxArgs: 1, symbolArgs: true,
+    apply: ([name], { symbolTable }) => Number(symbolTable[name] !== undefined)
+  },
+  SIZEOF:  {
+    minArgs: 1, maxArgs: 1, symbolArgs: true,
+    apply: ([name], { symbolTable, forwardSymbols, line }) => {
+      // The previous pass has the complete block; this pass may still be adding to it
+      const symbol = forwardSymbols[name] ?? symbolTable[name];
+      if (symbol === undefined) {
+        throw new Error(`Undefined symbol: ${name} at line ${line}`);
+      }
+      if (symbol.size === undefined) {
+        throw new Error(`SIZEOF: ${name} does not label a data block at line ${line}`);
+      }
+      return symbol.size;
+    }
+  }
+};
+
+/** Byte for a character constant when the caller gives no character map */
+function encodeAscii(char, token) {
+  const code = mapCharacter(CHARMAPS.ASCII, char);
+  if (code === undefined) {
+    throw new Error(`Character "${char}" is not in charmap ASCII at line ${token.line}`);
+  }
+  return code;
+}
+
+function nonZero(value, operation, token) {
+  if (value === 0) {
+    throw new Error(`${operation} by zero at line ${token.line}`);
+  }
+  return value;
+}
+
 /**
  * @typedef {Object} ParseResult
  * @property {number} value - The evaluated numeric value
@@ -44,7 +217,9 @@
  * 
  * The evaluator is stateful, maintaining references to:
  * - Symbol table (for label lookups)
+ * - Forward symbols (values from the previous pass, for labels defined later)
  * - Current address (for $ substitution)
+ * - Function table (for HIGH(), LOW(), ... and host functions)
  * 
  * @class
  * @example
@@ -58,13 +233,41 @@ export class ExpressionEvaluator {
    * 
    * @param {Object.<string, {address: number}>} symbolTable - Symbol table for label lookups
    * @param {number} currentAddress - Current assembly address (for $ substitution)
+   * @param {Object.<string, ExpressionFunction>} [functions=BUILTIN_FUNCTIONS] - Callable functions by name
+   * @param {Object.<string, {address: number}>} [forwardSymbols={}] - Symbols from the
+   *   previous assembly pass, used for names not (yet) in symbolTable
+   * @param {function(string, Object): number} [encodeChar] - Byte for the character of a
+   *   character constant and its token (the parser applies .CHARMAP); ASCII by default
    */
-  constructor(symbolTable, currentAddress) {
+  constructor(symbolTable, currentAddress, functions = BUILTIN_FUNCTIONS, forwardSymbols = {}, encodeChar = encodeAscii) {
     /** @type {Object.<string, {address: number}>} */
     this.symbolTable = symbolTable;
     
     /** @type {number} */
     this.currentAddress = currentAddress;
+
+    /** @type {Object.<string, ExpressionFunction>} */
+    this.functions = functions;
+
+    /** @type {Object.<string, {address: number}>} */
+    this.forwardSymbols = forwardSymbols;
+
+    /** @type {function(string, Object): number} */
+    this.encodeChar = encodeChar;
+
+    /**
+     * Set when a value came from forwardSymbols, so the caller knows the
+     * result may change once that symbol is reached in this pass
+     * @type {boolean}
+     */
+    this.usedForwardSymbols = false;
+
+    /**
+     * Set when a symbol's value rests on an undefined symbol counting as 0
+     * while sizing (see Parser#defineConstant)
+     * @type {boolean}
+     */
+    this.usedUnresolvedSymbols = false;
   }
 
   /**
@@ -110,7 +313,12 @@ export class ExpressionEvaluator {
     }
 
     // Parse using recursive descent
-    return this.parseExpression(processed, 0).value;
+    const result = this.parseExpression(processed, 0);
+    if (result.pos < processed.length) {
+      const token = processed[result.pos];
+      throw new Error(`Unexpected ${token.type === 'RPAREN' ? ')' : token.value} in expression at line ${token.line}`);
+    }
+    return result.value;
   }
 
   /**
@@ -119,14 +327,17 @@ export class ExpressionEvaluator {
    * Transforms tokens by:
    * 1. Removing whitespace, newlines, and comments
    * 2. Substituting $ with the current address value
-   * 3. Resolving label references to their numeric addresses
+   * 3. Turning keyword operators (MOD, SHL, AND, ...) and the % of %101 that follow an operand into operators
+   * 4. Turning a name followed by '(' into a FUNCTION token, and the arguments
+   *    of symbol-taking functions into SYMBOL tokens
+   * 5. Resolving label references to their numeric addresses
    * 
    * This simplifies the parser by ensuring all operands are numbers.
    * 
    * @private
    * @param {Array<Object>} tokens - Raw token array
    * @returns {Array<Object>} Processed tokens with $ and labels resolved
-   * @throws {Error} If an undefined symbol is referenced
+   * @throws {Error} If an undefined symbol or unknown function is referenced
    * 
    * @example
    * // Input:  [{type: 'LABEL', value: 'START'}, {type: 'OPERATOR', value: '$'}]
@@ -153,12 +364,53 @@ export class ExpressionEvaluator {
         continue;
       }
 
-      // Handle label references - look up in symbol table
+      // Keyword operators are only operators after an operand; AND/OR/XOR lex as mnemonics
+      const prev = result[result.length - 1];
+      const afterOperand = prev && (prev.type === 'NUMBER' || prev.type === 'RPAREN');
+      if (afterOperand && (token.type === 'LABEL' || token.type === 'MNEMONIC') && KEYWORD_OPERATORS[token.value]) {
+        result.push({ ...token, type: 'OPERATOR', value: KEYWORD_OPERATORS[token.value] });
+        continue;
+      }
+
+      // Likewise X %101 is X modulo 101, although the lexer reads %101 as binary
+      if (afterOperand && token.type === 'NUMBER' && token.raw?.startsWith('%')) {
+        const divisor = Number(token.raw.slice(1).replaceAll('_', ''));
+        result.push({ ...token, type: 'OPERATOR', value: '%' }, { ...token, value: divisor, column: token.column + 1 });
+        continue;
+      }
+
+      // Function call: NAME(
+      const next = tokens[i + 1];
+      if (token.type === 'LABEL' && next && next.type === 'LPAREN') {
+        const fn = this.functions[token.value];
+        if (!fn) {
+          throw new Error(`Unknown function: ${token.value} at line ${token.line}`);
+        }
+        result.push({ ...token, type: 'FUNCTION' });
+        if (fn.symbolArgs) {
+          // Copy the argument list without resolving names
+          let depth = 0;
+          do {
+            const arg = tokens[++i];
+            if (arg.type === 'LPAREN') depth++;
+            if (arg.type === 'RPAREN') depth--;
+            result.push(arg.type === 'LABEL' ? { ...arg, type: 'SYMBOL' } : arg);
+          } while (depth > 0 && i + 1 < tokens.length);
+        }
+        continue;
+      }
+
+      // Handle label references - look up in symbol table, then the previous pass
       if (token.type === 'LABEL') {
-        const symbol = this.symbolTable[token.value];
+        let symbol = this.symbolTable[token.value];
+        if (symbol === undefined) {
+          symbol = this.forwardSymbols[token.value];
+          this.usedForwardSymbols = true;
+        }
         if (symbol === undefined) {
           throw new Error(`Undefined symbol: ${token.value} at line ${token.line}`);
         }
+        this.usedUnresolvedSymbols ||= Boolean(symbol.unresolved);
         result.push({
           type: 'NUMBER',
           value: symbol.address,
@@ -178,7 +430,7 @@ export class ExpressionEvaluator {
    * Parses a complete expression
    * 
    * Entry point for recursive descent parsing. Delegates to
-   * parseAdditive which handles the lowest precedence operators.
+   * parseBinary starting at the lowest precedence level.
    * 
    * @private
    * @param {Array<Object>} tokens - Preprocessed token array
@@ -186,90 +438,42 @@ export class ExpressionEvaluator {
    * @returns {ParseResult} Parsed value and final position
    */
   parseExpression(tokens, start) {
-    return this.parseAdditive(tokens, start);
-  }
-
-  /**
-   * Parses additive expressions (+ and -)
-   * 
-   * Handles addition and subtraction with left-to-right associativity.
-   * Lowest precedence level in the grammar.
-   * 
-   * Grammar: additive := multiplicative (('+' | '-') multiplicative)*
-   * 
-   * @private
-   * @param {Array<Object>} tokens - Token array
-   * @param {number} start - Starting position
-   * @returns {ParseResult} Parsed value and final position
-   * 
-   * @example
-   * // Parses: 10 + 20 - 5
-   * // Result: {value: 25, pos: 5}
-   */
-  parseAdditive(tokens, start) {
-    let left = this.parseMultiplicative(tokens, start);
-    let pos = left.pos;
-
-    while (pos < tokens.length) {
-      const token = tokens[pos];
-      if (token.type === 'OPERATOR' && (token.value === '+' || token.value === '-')) {
-        const op = token.value;
-        const right = this.parseMultiplicative(tokens, pos + 1);
-        if (op === '+') {
-          left.value = left.value + right.value;
-        } else {
-          left.value = left.value - right.value;
-        }
-        pos = right.pos;
-      } else {
-        break;
-      }
-    }
-
-    return { value: left.value, pos };
+    return this.parseBinary(tokens, start, 1);
   }
 
   /**
-   * Parses multiplicative expressions (* and /)
+   * Parses binary operators by precedence climbing
    * 
-   * Handles multiplication and division with left-to-right associativity.
-   * Higher precedence than addition/subtraction.
-   * Division is integer division (truncates toward zero).
+   * Consumes operators whose precedence is at least minPrecedence; the right
+   * operand of each is parsed one level higher, which makes every operator
+   * left-associative.
    * 
-   * Grammar: multiplicative := unary (('*' | '/') unary)*
+   * Grammar: binary(p) := unary (OP binary(q + 1))*  where q = precedence(OP) >= p
    * 
    * @private
    * @param {Array<Object>} tokens - Token array
    * @param {number} start - Starting position
+   * @param {number} minPrecedence - Lowest operator precedence to consume
    * @returns {ParseResult} Parsed value and final position
-   * @throws {Error} If division by zero is attempted
+   * @throws {Error} If division or modulo by zero is attempted
    * 
    * @example
-   * // Parses: 10 * 3 / 2
-   * // Result: {value: 15, pos: 5}
+   * // Parses: 1 + 2 * 3 << 1
+   * // Result: {value: 14, pos: 7}
    */
-  parseMultiplicative(tokens, start) {
+  parseBinary(tokens, start, minPrecedence) {
     let left = this.parseUnary(tokens, start);
     let pos = left.pos;
 
     while (pos < tokens.length) {
       const token = tokens[pos];
-      if (token.type === 'OPERATOR' && (token.value === '*' || token.value === '/')) {
-        const op = token.value;
-        const right = this.parseUnary(tokens, pos + 1);
-        if (op === '*') {
-          left.value = left.value * right.value;
-        } else {
-          // Integer division with zero check
-          if (right.value === 0) {
-            throw new Error(`Division by zero at line ${tokens[pos].line}`);
-          }
-          left.value = Math.floor(left.value / right.value);
-        }
-        pos = right.pos;
-      } else {
+      const op = token.type === 'OPERATOR' ? BINARY_OPERATORS[token.value] : undefined;
+      if (!op || op.precedence < minPrecedence) {
         break;
       }
+      const right = this.parseBinary(tokens, pos + 1, op.precedence + 1);
+      left = { value: op.apply(left.value, right.value, token), pos: right.pos };
+      pos = right.pos;
     }
 
     return { value: left.value, pos };
@@ -281,13 +485,16 @@ export class ExpressionEvaluator {
    * Handles:
    * - Unary minus: -expr
    * - Unary plus: +expr (no-op)
+   * - Bitwise NOT: ~expr
+   * - Logical NOT: !expr (1 if expr is 0, else 0)
    * - Parenthesized expressions: (expr)
+   * - Function calls: NAME(args)
    * - Primary values: numbers
    * 
    * Highest precedence level in the grammar.
    * 
-   * Grammar: unary := ('-' | '+') unary | primary
-   *         primary := NUMBER | '(' expression ')'
+   * Grammar: unary := ('-' | '+' | '~' | '!') unary | primary
+   *         primary := NUMBER | '(' expression ')' | FUNCTION '(' args ')'
    * 
    * @private
    * @param {Array<Object>} tokens - Token array
@@ -306,15 +513,10 @@ export class ExpressionEvaluator {
 
     const token = tokens[start];
 
-    // Unary minus
-    if (token.type === 'OPERATOR' && token.value === '-') {
+    // Unary -, +, ~, !
+    if (token.type === 'OPERATOR' && UNARY_OPERATORS[token.value]) {
       const right = this.parseUnary(tokens, start + 1);
-      return { value: -right.value, pos: right.pos };
-    }
-
-    // Unary plus (no-op)
-    if (token.type === 'OPERATOR' && token.value === '+') {
-      return this.parseUnary(tokens, start + 1);
+      return { value: UNARY_OPERATORS[token.value](right.value), pos: right.pos };
     }
 
     // Parentheses
@@ -326,12 +528,91 @@ export class ExpressionEvaluator {
       return { value: expr.value, pos: expr.pos + 1 };
     }
 
+    if (token.type === 'FUNCTION') {
+      return this.parseCall(tokens, start);
+    }
+
     // Number or identifier (already resolved in preprocess)
     if (token.type === 'NUMBER') {
       return { value: token.value, pos: start + 1 };
     }
 
+    // Character constant: 'A' or "A"
+    if (token.type === 'STRING') {
+      if ([...token.value].length !== 1) {
+        throw new Error(`Character constant must be one character: "${token.value}" at line ${token.line}`);
+      }
+      return { value: this.encodeChar(token.value, token), pos: start + 1 };
+    }
+
     throw new Error(`Unexpected token: ${token.type} at line ${token.line}`);
   }
+
+  /**
+   * Parses and applies a function call
+   * 
+   * Arguments are expressions, except that a lone string literal is passed
+   * as a string and, for symbol-taking functions, a lone name is passed as
+   * the symbol name.
+   * 
+   * @private
+   * @param {Array<Object>} tokens - Token array
+   * @param {number} start - Position of the FUNCTION token
+   * @returns {ParseResult} Function result and final position
+   * @throws {Error} If the argument list is malformed, has the wrong number
+   *   of arguments, or the function does not return an integer
+   * 
+   * @example
+   * // Parses: MAX(1, 7, 3)
+   * // Result: {value: 7, pos: 8}
+   */
+  parseCall(tokens, start) {
+    const name = tokens[start].value;
+    const line = tokens[start].line;
+    const fn = this.functions[name];
+    const args = [];
+    let pos = start + 2; // skip NAME (
+
+    const isArgEnd = i => i < tokens.length && (tokens[i].type === 'COMMA' || tokens[i].type === 'RPAREN');
+
+    while (pos < tokens.length && tokens[pos].type !== 'RPAREN') {
+      const token = tokens[pos];
+      if ((token.type === 'STRING' || token.type === 'SYMBOL') && isArgEnd(pos + 1)) {
+        args.push(token.value);
+        pos++;
+      } else {
+        const arg = this.parseExpression(tokens, pos);
+        args.push(arg.value);
+        pos = arg.pos;
+      }
+      if (pos < tokens.length && tokens[pos].type === 'COMMA') {
+        pos++;
+      } else {
+        break;
+      }
+    }
+
+    if (pos >= tokens.length || tokens[pos].type !== 'RPAREN') {
+      throw new Error(`Expected ) after arguments to ${name} at line ${line}`);
+    }
+    if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+      const expected = fn.minArgs === fn.maxArgs ? fn.minArgs
+        : fn.maxArgs === Infinity ? `at least ${fn.minArgs}` : `${fn.minArgs} to ${fn.maxArgs}`;
+      const plural = fn.minArgs === 1 && (fn.maxArgs === 1 || fn.maxArgs === Infinity) ? '' : 's';
+      throw new Error(`${name} expects ${expected} argument${plural}, got ${args.length} at line ${line}`);
+    }
+
+    const context = {
+      symbolTable: this.symbolTable,
+      forwardSymbols: this.forwardSymbols,
+      currentAddress: this.currentAddress,
+      line
+    };
+    const value = fn.apply(args, context);
+    if (!Number.isInteger(value)) {
+      throw new Error(`${name} did not return an integer at line ${line}`);
+    }
+    return { value, pos: pos + 1 };
+  }
 }
 
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Shared include files for the browser
+ *
+ * The browser has no filesystem, so the files that example and user programs
+ * can INCLUDE are kept here and served by the in-memory resolver.
+ *
+ * @module examples/includes
+ */
+
+/**
+ * Include files by name, for createMemoryResolver
+ * @type {Object.<string, string>}
+ */
+export const INCLUDE_FILES = {
+  'model3.inc': `; model3.inc - TRS-80 Model III hardware addresses and ROM entry points
+; Use with: INCLUDE "model3.inc"
+
+; Video RAM: 64 columns x 16 rows, one byte per character
+VRAM    .EQU    $3C00       ; Top-left character
+VCOLS   .EQU    64
+VROWS   .EQU    16
+VSIZE   .EQU    VCOLS * VROWS
+
+; Keyboard matrix: reading KBROW0 + row bits shows the keys held in those rows
+KBBASE  .EQU    $3800
+KBROW0  .EQU    $3801       ; @ A B C D E F G
+KBROW1  .EQU    $3802       ; H I J K L M N O
+KBROW2  .EQU    $3804       ; P Q R S T U V W
+KBROW3  .EQU    $3808       ; X Y Z
+KBROW4  .EQU    $3810       ; 0 1 2 3 4 5 6 7
+KBROW5  .EQU    $3820       ; 8 9 : ; , - . /
+KBROW6  .EQU    $3840       ; ENTER CLEAR BREAK arrows SPACE
+KBROW7  .EQU    $3880       ; SHIFT
+
+; ROM entry points
+KBSCAN  .EQU    $002B       ; Scan the keyboard: A = key, or 0 if none
+DSPCHR  .EQU    $0033       ; Display the character in A at the cursor
+KBWAIT  .EQU    $0049       ; Wait for a key: A = key
+DELAY   .EQU    $0060       ; Delay for BC iterations
+CLS     .EQU    $01C9       ; Clear the screen and home the cursor
+
+; User RAM
+USERRAM .EQU    $4200       ; Default origin for programs
+`
+};
@@ -132,13 +132,13 @@ PLOT:   LD      (HL), A     ; Write to screen           (77)
         INC     D           ; Y++ (next row)            (14)
         LD      A, D        ;                           (7A)
         CP      ROWS        ; Reached end of screen?    (FE 10)
-        JR      NZ, YLOOP   ; No, continue              (20 E4)
+        JR      NZ, YLOOP   ; No, continue              (20 E6)
 
-        JR      START       ; Loop forever              (18 DC)
+        JR      START       ; Loop forever              (18 DF)
 
         .END`,
-    expectedBytes: [0x21, 0x00, 0x3C, 0x16, 0x00, 0x1E, 0x00, 0x7B, 0xA2, 0x20, 0x05, 0x3E, 0xBF, 0x18, 0x04, 0x3E, 0x20, 0x77, 0x23, 0x1C, 0x7B, 0xFE, 0x40, 0x20, 0xEE, 0x14, 0x7A, 0xFE, 0x10, 0x20, 0xE6, 0x18, 0xDF],
-    expectedSymbols: { BLOCK: 0xbf, COLS: 0x40, EMPTY: 0x4210, PLOT: 0x4213, ROWS: 0x10, SPACE: 0x20, START: 0x4200, VRAM: 0x3c00, XLOOP: 0x4207, YLOOP: 0x4205 }
+    expectedBytes: [0x21, 0x00, 0x3C, 0x16, 0x00, 0x1E, 0x00, 0x7B, 0xA2, 0x20, 0x04, 0x3E, 0xBF, 0x18, 0x02, 0x3E, 0x20, 0x77, 0x23, 0x1C, 0x7B, 0xFE, 0x40, 0x20, 0xEE, 0x14, 0x7A, 0xFE, 0x10, 0x20, 0xE6, 0x18, 0xDF],
+    expectedSymbols: { BLOCK: 0xbf, COLS: 0x40, EMPTY: 0x420f, PLOT: 0x4211, ROWS: 0x10, SPACE: 0x20, START: 0x4200, VRAM: 0x3c00, XLOOP: 0x4207, YLOOP: 0x4205 }
   },
   {
     id: 'checkerboard',
@@ -178,19 +178,19 @@ PLOT:   LD      (HL), A     ; Write to screen           (77)
         INC     E           ; X++                       (1C)
         LD      A, E        ;                           (7B)
         CP      COLS        ;                           (FE 40)
-        JR      NZ, XLOOP   ;                           (20 EC)
+        JR      NZ, XLOOP   ;                           (20 EB)
 
         INC     D           ; Y++                       (14)
         LD      A, D        ;                           (7A)
         CP      ROWS        ;                           (FE 10)
-        JR      NZ, YLOOP   ;                           (20 E2)
+        JR      NZ, YLOOP   ;                           (20 E3)
 
         INC     C           ; Next frame                (0C)
-        JR      FRAME       ; Loop forever              (18 D8)
+        JR      FRAME       ; Loop forever              (18 DB)
 
         .END`,
-    expectedBytes: [0x0E, 0x00, 0x21, 0x00, 0x3C, 0x16, 0x00, 0x1E, 0x00, 0x7B, 0xAA, 0xA9, 0xE6, 0x01, 0x28, 0x05, 0x3E, 0xBF, 0x18, 0x04, 0x3E, 0x20, 0x77, 0x23, 0x1C, 0x7B, 0xFE, 0x40, 0x20, 0xEB, 0x14, 0x7A, 0xFE, 0x10, 0x20, 0xE3, 0x0C, 0x18, 0xDB],
-    expectedSymbols: { BLOCK: 0xbf, COLS: 0x40, DARK: 0x4215, FRAME: 0x4202, PLOT: 0x4218, ROWS: 0x10, SPACE: 0x20, START: 0x4200, VRAM: 0x3c00, XLOOP: 0x4209, YLOOP: 0x4207 }
+    expectedBytes: [0x0E, 0x00, 0x21, 0x00, 0x3C, 0x16, 0x00, 0x1E, 0x00, 0x7B, 0xAA, 0xA9, 0xE6, 0x01, 0x28, 0x04, 0x3E, 0xBF, 0x18, 0x02, 0x3E, 0x20, 0x77, 0x23, 0x1C, 0x7B, 0xFE, 0x40, 0x20, 0xEB, 0x14, 0x7A, 0xFE, 0x10, 0x20, 0xE3, 0x0C, 0x18, 0xDB],
+    expectedSymbols: { BLOCK: 0xbf, COLS: 0x40, DARK: 0x4214, FRAME: 0x4202, PLOT: 0x4216, ROWS: 0x10, SPACE: 0x20, START: 0x4200, VRAM: 0x3c00, XLOOP: 0x4209, YLOOP: 0x4207 }
   },
   {
     id: 'datatest',
@@ -220,7 +220,7 @@ TABLE:  .DW     $0000, $FFFF, $1234  ; Multiple words
 
         .END`,
     expectedBytes: null, // Variable size, will be validated by test suite
-    expectedSymbols: { DATA1: 0x420f, DATA2: 0x4210, MESSAGE: 0x420a, OFFSET: 0x10, PTR1: 0x4215, PTR2: 0x4217, START: 0x4200, TABLE: 0x4219 }
+    expectedSymbols: { DATA1: 0x4211, DATA2: 0x4212, MESSAGE: 0x420b, OFFSET: 0x10, PTR1: 0x4216, PTR2: 0x4218, START: 0x4200, TABLE: 0x421a }
   },
   {
     id: 'conditions',
@@ -441,8 +441,8 @@ START:  LD      HL, $1000   ; HL = $1000                (21 00 10)
 RESULT: .DW     0           ; 16-bit storage
 
         .END`,
-    expectedBytes: [0x21, 0x00, 0x10, 0x01, 0x34, 0x02, 0x09, 0x11, 0x01, 0x00, 0x19, 0x23, 0x23, 0x2B, 0x22, 0x11, 0x42, 0x76, 0x00, 0x00],
-    expectedSymbols: { RESULT: 0x4211, START: 0x4200 }
+    expectedBytes: [0x21, 0x00, 0x10, 0x01, 0x34, 0x02, 0x09, 0x11, 0x01, 0x00, 0x19, 0x23, 0x23, 0x2B, 0x22, 0x12, 0x42, 0x76, 0x00, 0x00],
+    expectedSymbols: { RESULT: 0x4212, START: 0x4200 }
   },
   {
     id: 'blockcopy',
@@ -500,7 +500,7 @@ HERE:   LD      HL, HERE            ; Should equal current address
 
         .END`,
     expectedBytes: null, // Variable due to $ usage
-    expectedSymbols: { BASE: 0x1000, COMBO: 0x1100, DIFF: 0x800, DIV: 0x20, HERE: 0x420a, MULT: 0x40, OFFSET: 0x100, START: 0x4200 }
+    expectedSymbols: { BASE: 0x1000, COMBO: 0x1100, DIFF: 0x800, DIV: 0x20, HERE: 0x420c, MULT: 0x40, OFFSET: 0x100, START: 0x4200 }
   },
   {
     id: 'multiply',
@@ -732,14 +732,14 @@ START:  LD      BC, $1234   ; BC = $1234                  (01 34 12)
         LD      DE, $0000   ; DE' = $0000                 (11 00 00)
         LD      HL, $0000   ; HL' = $0000                 (21 00 00)
         EXX                 ; Exchange back                (D9)
-        LD      (RESULT), HL ; Store HL                   (22 11 42)
+        LD      (RESULT), HL ; Store HL                   (22 18 42)
         HALT                ;                             (76)
 
 RESULT: .DW     0
 
         .END`,
-    expectedBytes: [0x01, 0x34, 0x12, 0x11, 0x78, 0x56, 0x21, 0xBC, 0x9A, 0xD9, 0x01, 0x00, 0x00, 0x11, 0x00, 0x00, 0x21, 0x00, 0x00, 0xD9, 0x22, 0x15, 0x42, 0x76, 0x00, 0x00],
-    expectedSymbols: { RESULT: 0x4215, START: 0x4200 }
+    expectedBytes: [0x01, 0x34, 0x12, 0x11, 0x78, 0x56, 0x21, 0xBC, 0x9A, 0xD9, 0x01, 0x00, 0x00, 0x11, 0x00, 0x00, 0x21, 0x00, 0x00, 0xD9, 0x22, 0x18, 0x42, 0x76, 0x00, 0x00],
+    expectedSymbols: { RESULT: 0x4218, START: 0x4200 }
   },
   {
     id: 'divide',
@@ -1,4 +1,5 @@
-import { TOKEN, MNEMONICS, REGISTERS, DIRECTIVES } from './constants.js';
+import { TOKEN, MNEMONICS, REGISTERS, DIRECTIVES, POSITIONAL_DIRECTIVES } from './constants.js';
+import { RAW_BYTE_BASE } from './charmaps.js';
 
 export class Lexer {
   constructor(source) {
@@ -18,9 +19,46 @@ export class Lexer {
       this.scanToken();
     }
     this.tokens.push(this.makeToken(TOKEN.EOF, ''));
+    this.markPositionalDirectives();
     return this.tokens;
   }
 
+  /**
+   * Turn the POSITIONAL_DIRECTIVES that are not where a directive goes into
+   * labels. A directive goes first on the line (ALIGN 4), unless a colon, a
+   * directive or = follows, which makes it a name (ALIGN:, ALIGN EQU 4,
+   * ALIGN = 4 in an ENUM); or after the line's label (TABLE: ALIGN 4,
+   * PLAYER STRUCT).
+   */
+  markPositionalDirectives() {
+    const isPositional = token => token?.type === TOKEN.DIRECTIVE && POSITIONAL_DIRECTIVES.has(token.value);
+    const toLabel = i => { this.tokens[i] = { ...this.tokens[i], type: TOKEN.LABEL }; };
+
+    let start = 0;
+    while (start < this.tokens.length) {
+      let end = start;
+      while (end < this.tokens.length && ![TOKEN.NEWLINE, TOKEN.COMMENT, TOKEN.EOF].includes(this.tokens[end].type)) {
+        end++;
+      }
+      const [first, next] = [this.tokens[start], start + 1 < end ? this.tokens[start + 1] : null];
+      if (isPositional(first) && (next?.type === TOKEN.COLON || next?.type === TOKEN.DIRECTIVE ||
+          (next?.type === TOKEN.OPERATOR && next.value === '='))) {
+        toLabel(start);
+      }
+
+      let slot = start;
+      if (next?.type === TOKEN.COLON) {
+        slot = start + 2;
+      } else if (this.tokens[start].type === TOKEN.LABEL) {
+        slot = start + 1;
+      }
+      for (let i = start; i < end; i++) {
+        if (i !== slot && isPositional(this.tokens[i])) toLabel(i);
+      }
+      start = end + 1;
+    }
+  }
+
   scanToken() {
     this.skipWhitespace();
     if (this.isAtEnd()) return;
@@ -42,17 +80,24 @@ export class Lexer {
       return;
     }
 
-    // Numbers: $hex, 0xhex, %binary, decimal, or decimalH
-    // Check if $ is followed by hex digit (then it's $hex), otherwise it's current address operator
+    // %1010 is a binary number and other % the modulo operator; after an
+    // operand the evaluator reads %1010 as % 1010 too (see ExpressionEvaluator#preprocess)
+    if (char === '%' && this.isModuloOperator()) {
+      this.tokens.push(this.makeToken(TOKEN.OPERATOR, '%'));
+      this.advance();
+      return;
+    }
+
+    // Numbers: $hex, 0xhex, hexH, %binary, 0bbinary, binaryB, octalO/Q or decimal
     if (this.isDigit(char) || char === '%') {
       this.scanNumber();
       return;
     }
     
-    // Handle $hex format for numbers (must be followed by hex digit)
+    // $ followed by a digit or letter is a $hex number, otherwise the current address
     if (char === '$') {
       const next = this.peekNext();
-      if (next && this.isHexDigit(next)) {
+      if (next && (this.isAlphaNumeric(next) || next === '_')) {
         this.scanNumber();
         return;
       }
@@ -68,12 +113,21 @@ export class Lexer {
       return;
     }
 
-    // Identifiers (labels, mnemonics, registers, directives)
-    if (this.isAlpha(char) || char === '_' || char === '.') {
+    // Identifiers (labels, mnemonics, registers, directives); @ starts the anonymous label @@ and @F/@B
+    if (this.isAlpha(char) || char === '_' || char === '.' || char === '@') {
       this.scanIdentifier();
       return;
     }
 
+    // Two-character operators
+    const pair = char + (this.peekNext() ?? '');
+    if (['<<', '>>', '<=', '>=', '<>', '==', '!=', '&&', '||'].includes(pair)) {
+      this.tokens.push(this.makeToken(TOKEN.OPERATOR, pair));
+      this.advance();
+      this.advance();
+      return;
+    }
+
     // Single-character tokens
     const singleChars = {
       '(': TOKEN.LPAREN,
@@ -84,6 +138,14 @@ export class Lexer {
       '-': TOKEN.OPERATOR,
       '*': TOKEN.OPERATOR,
       '/': TOKEN.OPERATOR,
+      '&': TOKEN.OPERATOR,
+      '|': TOKEN.OPERATOR,
+      '^': TOKEN.OPERATOR,
+      '~': TOKEN.OPERATOR,
+      '!': TOKEN.OPERATOR,
+      '<': TOKEN.OPERATOR,
+      '>': TOKEN.OPERATOR,
+      '=': TOKEN.OPERATOR,
       '$': TOKEN.OPERATOR  // Current address
     };
 
@@ -98,59 +160,34 @@ export class Lexer {
     this.advance();
   }
 
+  /**
+   * Scan a number: $FF, 0xFF or 0FFH (hex), %1010, 0b1010 or 1010B (binary),
+   * 17O or 17Q (octal), or decimal, with _ allowed between digits ($FF_FF).
+   * A digit followed by B or F that is not a number (1B, 2F) refers to a
+   * numeric local label; binary-looking ones (10B) are left to the parser,
+   * which knows whether there is a 10: label. Anything else, like 12G or $G,
+   * is an ERROR token.
+   */
   scanNumber() {
     const startCol = this.column;
-    let value = '';
-
-    if (this.peek() === '$') {
-      // Hex: $FF
+    const start = this.pos;
+    if (this.peek() === '$' || this.peek() === '%') {
       this.advance();
-      while (this.isHexDigit(this.peek())) {
-        value += this.advance();
-      }
-      this.tokens.push({
-        type: TOKEN.NUMBER,
-        value: parseInt(value, 16),
-        raw: '$' + value,
-        line: this.line,
-        column: startCol
-      });
-    } else if (this.peek() === '%') {
-      // Binary: %10101010
+    }
+    while (this.isAlphaNumeric(this.peek()) || this.peek() === '_') {
       this.advance();
-      while (this.peek() === '0' || this.peek() === '1') {
-        value += this.advance();
-      }
-      this.tokens.push({
-        type: TOKEN.NUMBER,
-        value: parseInt(value, 2),
-        raw: '%' + value,
-        line: this.line,
-        column: startCol
-      });
+    }
+    const raw = this.source.slice(start, this.pos);
+    const token = { raw, line: this.line, column: startCol };
+
+    const value = parseNumber(raw);
+    if (value !== null) {
+      this.tokens.push({ type: TOKEN.NUMBER, value, ...token });
+    } else if (/^\d+[BF]$/i.test(raw)) {
+      // 1B / 1F: reference to the numeric local label 1: before / after this line
+      this.tokens.push({ type: TOKEN.LABEL, value: raw.toUpperCase(), ...token });
     } else {
-      // Decimal or hex with H suffix
-      while (this.isHexDigit(this.peek())) {
-        value += this.advance();
-      }
-      if (this.peek()?.toUpperCase() === 'H') {
-        this.advance();
-        this.tokens.push({
-          type: TOKEN.NUMBER,
-          value: parseInt(value, 16),
-          raw: value + 'H',
-          line: this.line,
-          column: startCol
-        });
-      } else {
-        this.tokens.push({
-          type: TOKEN.NUMBER,
-          value: parseInt(value, 10),
-          raw: value,
-          line: this.line,
-          column: startCol
-        });
-      }
+      this.tokens.push({ type: 'ERROR', value: raw, message: `Invalid number: ${raw}`, ...token });
     }
   }
 
@@ -158,7 +195,7 @@ export class Lexer {
     const startCol = this.column;
     let value = '';
 
-    while (this.isAlphaNumeric(this.peek()) || this.peek() === '_' || this.peek() === '.') {
+    while (this.isAlphaNumeric(this.peek()) || ['_', '.', '@'].includes(this.peek())) {
       value += this.advance();
     }
 
@@ -206,15 +243,25 @@ export class Lexer {
     });
   }
 
+  /**
+   * Scan a string in ' or ". A doubled quote stands for one quote character
+   * ('it''s'), and C-style escapes are translated: \n \r \t \0 \\ \" \' and
+   * \xNN. An unknown escape is kept as written.
+   */
   scanString(quote) {
     const startCol = this.column;
     let value = '';
     this.advance(); // skip opening quote
-    while (!this.isAtEnd() && this.peek() !== quote && this.peek() !== '\n') {
-      value += this.advance();
-    }
-    if (this.peek() === quote) {
-      this.advance(); // skip closing quote
+    while (!this.isAtEnd() && this.peek() !== '\n') {
+      const char = this.advance();
+      if (char === quote) {
+        if (this.peek() !== quote) break; // closing quote
+        value += this.advance();
+      } else if (char === '\\' && !this.isAtEnd() && this.peek() !== '\n') {
+        value += this.scanEscape();
+      } else {
+        value += char;
+      }
     }
     this.tokens.push({
       type: TOKEN.STRING,
@@ -224,7 +271,40 @@ export class Lexer {
     });
   }
 
+  /** The character for the escape after a backslash */
+  scanEscape() {
+    const escapes = { n: '\n', r: '\r', t: '\t', 0: '\0', '\\': '\\', '"': '"', "'": "'" };
+    const char = this.peek();
+    if (Object.hasOwn(escapes, char)) {
+      this.advance();
+      return escapes[char];
+    }
+    const hex = this.source.slice(this.pos + 1, this.pos + 3);
+    if (char.toLowerCase() === 'x' && /^[0-9a-f]{2}$/i.test(hex)) {
+      this.advance(); // x
+      // A raw byte, which no .CHARMAP changes
+      return String.fromCharCode(RAW_BYTE_BASE + parseInt(this.advance() + this.advance(), 16));
+    }
+    return '\\';
+  }
+
   // Helper methods
+
+  /** Whether the previous token ends an operand (so a following % is modulo) */
+  /**
+   * Whether the % at the current position is the modulo operator: followed by
+   * an operand (X % 3, X%Y, X%$10) rather than a binary number. A % followed by
+   * nothing, or by digits that are no number (%12G), is a malformed number.
+   */
+  isModuloOperator() {
+    const run = /^[0-9A-Za-z_]*/.exec(this.source.slice(this.pos + 1, this.pos + 80))[0];
+    if (run === '') {
+      return !['', '\n', '\r', ',', ')', ';'].includes(this.peekNext() ?? '');
+    }
+    if (parseNumber(`%${run}`) !== null) return false;
+    return !this.isDigit(run[0]) || parseNumber(run) !== null;
+  }
+
   makeToken(type, value) {
     return { type, value, line: this.line, column: this.column };
   }
@@ -254,8 +334,38 @@ export class Lexer {
   }
 
   isDigit(c) { return c >= '0' && c <= '9'; }
-  isHexDigit(c) { return this.isDigit(c) || (c >= 'A' && c <= 'F') || (c >= 'a' && c <= 'f'); }
   isAlpha(c) { return (c >= 'A' && c <= 'Z') || (c >= 'a' && c <= 'z'); }
   isAlphaNumeric(c) { return this.isAlpha(c) || this.isDigit(c); }
 }
 
+/**
+ * Value of a number literal, or null if it is malformed
+ * @param {string} raw - The literal as written, e.g. "$FF", "1010B", "1_000"
+ * @returns {?number}
+ */
+function parseNumber(raw) {
+  const forms = [
+    [/^\$(.+)$/, 16], [/^0x(.+)$/i, 16], [/^(.+)H$/i, 16],
+    [/^%(.+)$/, 2], [/^0b(.+)$/i, 2], [/^(.{2,})B$/i, 2], // a single digit before B is a label (1B); 10B may be one too, see Parser#binaryBackReference
+    [/^(.+)[OQ]$/i, 8],
+    [/^(.+)$/, 10]
+  ];
+  for (const [pattern, radix] of forms) {
+    const match = pattern.exec(raw);
+    if (match) return parseDigits(match[1], radix);
+  }
+  return null;
+}
+
+/**
+ * Value of digits in the given radix, with single _ separators between them, or null
+ * @param {string} digits - Digits without prefix or suffix
+ * @param {number} radix - 2, 8, 10 or 16
+ * @returns {?number}
+ */
+function parseDigits(digits, radix) {
+  if (!/^[0-9a-z]+(_[0-9a-z]+)*$/i.test(digits)) return null;
+  const clean = digits.replaceAll('_', '');
+  if ([...clean].some(digit => parseInt(digit, 36) >= radix)) return null;
+  return parseInt(clean, radix);
+}
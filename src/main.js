@@ -19,18 +19,22 @@
  * @requires ./assembler
  * @requires ./utils/formatter
  * @requires ./ui/examples
+ * @requires ./utils/memory-resolver
+ * @requires ./examples/includes
  */
 
 import { Z80Assembler } from './assembler.js';
 import { formatMemoryDump, formatSymbolTable, formatErrors, formatWarnings, formatBytes } from './utils/formatter.js';
 import { initExamplesDropdown, getExampleById } from './ui/examples.js';
+import { createMemoryResolver } from './utils/memory-resolver.js';
+import { INCLUDE_FILES } from './examples/includes.js';
 
 /**
  * Main assembler instance
- * Shared across all assembly operations
+ * Shared across all assembly operations; INCLUDE reads the bundled include files
  * @type {Z80Assembler}
  */
-const assembler = new Z80Assembler();
+const assembler = new Z80Assembler({ fileResolver: createMemoryResolver(INCLUDE_FILES) });
 
 /**
  * DOM element references
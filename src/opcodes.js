@@ -1,17 +1,39 @@
-import { REG8, REG16, STACK_REG, CONDITIONS } from './constants.js';
+import { REG8, REG16, STACK_REG, CONDITIONS, OPERAND } from './constants.js';
 
 /**
  * Instruction definitions
- * 
- * Each entry maps a pattern to encoding info:
- * - opcode: base opcode byte(s)
- * - prefix: optional prefix byte (0xCB, 0xDD, 0xED, 0xFD)
- * - operands: array describing expected operands
- * - size: total bytes including operands
- * - cycles: T-states (can be array for conditional instructions)
+ *
+ * Every instruction form is one entry in OPCODE_TABLE, matched by mnemonic
+ * and operand pattern:
+ * - opcode: opcode byte(s), including any CB/ED prefix
+ * - operands: operand pattern (see below)
+ * - cycles: T-states (array for conditional instructions: [taken, not taken])
+ * - undocumented: set for undocumented forms
+ *
+ * The parser sizes instructions and the code generator emits bytes from the
+ * same entry, so label addresses always agree with the generated code.
+ *
+ * Operand patterns are comma separated, one item per operand (operands are
+ * the typed objects described by OPERAND in constants.js):
+ * - A literal register or indirect register: A, HL, (HL), (C), (SP), AF', I, R, F
+ * - r: 8-bit register B, C, D, E, H, L, A
+ * - rr: register pair BC, DE, HL, SP
+ * - qq: register pair BC, DE, HL, AF (PUSH/POP)
+ * - cc: condition NZ, Z, NC, C, PO, PE, P, M
+ * - jc: relative jump condition NZ, Z, NC, C
+ * - n / nn: 8/16-bit immediate, emitted after the opcode
+ * - (n) / (nn): 8-bit port / 16-bit memory address, emitted after the opcode
+ * - e: relative jump target, emitted as a signed offset from the next instruction
+ * - b: bit number 0-7
+ * - p: RST vector
+ * - im: interrupt mode 0-2
+ * - 0: the literal value 0 (OUT (C),0)
+ *
+ * Register, condition and value items take a :shift suffix giving the bit
+ * position their code is ORed into the last opcode byte (r:3 is bits 5-3).
  */
 
-// Simple single-byte instructions
+// Simple instructions with no operands
 export const SIMPLE_INSTRUCTIONS = {
   'NOP': { opcode: 0x00, size: 1, cycles: 4 },
   'HALT': { opcode: 0x76, size: 1, cycles: 4 },
@@ -30,518 +52,503 @@ export const SIMPLE_INSTRUCTIONS = {
   'RETI': { prefix: 0xED, opcode: 0x4D, size: 2, cycles: 14 },
   'RETN': { prefix: 0xED, opcode: 0x45, size: 2, cycles: 14 },
   'NEG': { prefix: 0xED, opcode: 0x44, size: 2, cycles: 8 },
-  'EX DE,HL': { opcode: 0xEB, size: 1, cycles: 4 },
-  "EX AF,AF'": { opcode: 0x08, size: 1, cycles: 4 },
-  'EX (SP),HL': { opcode: 0xE3, size: 1, cycles: 19 },
   'LDI': { prefix: 0xED, opcode: 0xA0, size: 2, cycles: 16 },
   'LDIR': { prefix: 0xED, opcode: 0xB0, size: 2, cycles: [21, 16] },
   'LDD': { prefix: 0xED, opcode: 0xA8, size: 2, cycles: 16 },
   'LDDR': { prefix: 0xED, opcode: 0xB8, size: 2, cycles: [21, 16] },
+  'CPI': { prefix: 0xED, opcode: 0xA1, size: 2, cycles: 16 },
+  'CPIR': { prefix: 0xED, opcode: 0xB1, size: 2, cycles: [21, 16] },
+  'CPD': { prefix: 0xED, opcode: 0xA9, size: 2, cycles: 16 },
+  'CPDR': { prefix: 0xED, opcode: 0xB9, size: 2, cycles: [21, 16] },
+  'INI': { prefix: 0xED, opcode: 0xA2, size: 2, cycles: 16 },
+  'INIR': { prefix: 0xED, opcode: 0xB2, size: 2, cycles: [21, 16] },
+  'IND': { prefix: 0xED, opcode: 0xAA, size: 2, cycles: 16 },
+  'INDR': { prefix: 0xED, opcode: 0xBA, size: 2, cycles: [21, 16] },
+  'OUTI': { prefix: 0xED, opcode: 0xA3, size: 2, cycles: 16 },
+  'OTIR': { prefix: 0xED, opcode: 0xB3, size: 2, cycles: [21, 16] },
+  'OUTD': { prefix: 0xED, opcode: 0xAB, size: 2, cycles: 16 },
+  'OTDR': { prefix: 0xED, opcode: 0xBB, size: 2, cycles: [21, 16] },
+  'RLD': { prefix: 0xED, opcode: 0x6F, size: 2, cycles: 18 },
+  'RRD': { prefix: 0xED, opcode: 0x67, size: 2, cycles: 18 },
 };
 
 /**
- * LD instruction patterns - these are complex and need special handling
+ * Arithmetic/Logic operations
  */
-export function encodeLD(operands) {
-  const [dest, src] = operands;
-
-  // LD r, r' - register to register
-  if (REG8[dest] !== undefined && REG8[src] !== undefined) {
-    return {
-      bytes: [0x40 | (REG8[dest] << 3) | REG8[src]],
-      size: 1
-    };
-  }
-
-  // LD r, n - immediate to register
-  if (REG8[dest] !== undefined && typeof src === 'number') {
-    return {
-      bytes: [0x06 | (REG8[dest] << 3), src & 0xFF],
-      size: 2
-    };
-  }
-
-  // LD r, (HL) - indirect to register
-  if (REG8[dest] !== undefined && src === '(HL)') {
-    return {
-      bytes: [0x46 | (REG8[dest] << 3)],
-      size: 1
-    };
-  }
+export const ALU_OPCODES = {
+  'ADD': 0x80, 'ADC': 0x88, 'SUB': 0x90, 'SBC': 0x98,
+  'AND': 0xA0, 'XOR': 0xA8, 'OR':  0xB0, 'CP':  0xB8
+};
 
-  // LD (HL), r - register to indirect
-  if (dest === '(HL)' && REG8[src] !== undefined) {
-    return {
-      bytes: [0x70 | REG8[src]],
-      size: 1
-    };
-  }
+export const ALU_IMM_OPCODES = {
+  'ADD': 0xC6, 'ADC': 0xCE, 'SUB': 0xD6, 'SBC': 0xDE,
+  'AND': 0xE6, 'XOR': 0xEE, 'OR':  0xF6, 'CP':  0xFE
+};
 
-  // LD (HL), n - immediate to indirect
-  if (dest === '(HL)' && typeof src === 'number') {
-    return {
-      bytes: [0x36, src & 0xFF],
-      size: 2
-    };
-  }
+/**
+ * CB-prefixed instructions (rotate/shift/bit)
+ */
+export const CB_INSTRUCTIONS = {
+  'RLC':  0x00, 'RRC':  0x08, 'RL':   0x10, 'RR':   0x18,
+  'SLA':  0x20, 'SRA':  0x28, 'SLL':  0x30, 'SRL':  0x38,
+  'BIT':  0x40, 'RES':  0x80, 'SET':  0xC0
+};
 
-  // LD A, (BC)
-  if (dest === 'A' && src === '(BC)') {
-    return { bytes: [0x0A], size: 1 };
-  }
+/**
+ * EX instruction patterns (register exchange)
+ * EX (SP),IX and EX (SP),IY are the EX (SP),HL form behind an index prefix
+ */
+export const EX_INSTRUCTIONS = {
+  'DE,HL': { opcode: 0xEB, size: 1, cycles: 4 },
+  "AF,AF'": { opcode: 0x08, size: 1, cycles: 4 },
+  '(SP),HL': { opcode: 0xE3, size: 1, cycles: 19 }
+};
 
-  // LD A, (DE)
-  if (dest === 'A' && src === '(DE)') {
-    return { bytes: [0x1A], size: 1 };
-  }
+const entry = (mnemonic, operands, opcode, cycles, extra = {}) =>
+  ({ mnemonic, operands, opcode, cycles, ...extra });
+
+export const OPCODE_TABLE = [
+  ...Object.entries(SIMPLE_INSTRUCTIONS).map(([mnemonic, def]) =>
+    entry(mnemonic, '', def.prefix !== undefined ? [def.prefix, def.opcode] : [def.opcode], def.cycles)
+  ),
+
+  // 8-bit loads
+  entry('LD', 'r:3,r:0', [0x40], 4),
+  entry('LD', 'r:3,n', [0x06], 7),
+  entry('LD', 'r:3,(HL)', [0x46], 7),
+  entry('LD', '(HL),r:0', [0x70], 7),
+  entry('LD', '(HL),n', [0x36], 10),
+  entry('LD', 'A,(BC)', [0x0A], 7),
+  entry('LD', 'A,(DE)', [0x1A], 7),
+  entry('LD', 'A,(nn)', [0x3A], 13),
+  entry('LD', '(BC),A', [0x02], 7),
+  entry('LD', '(DE),A', [0x12], 7),
+  entry('LD', '(nn),A', [0x32], 13),
+  entry('LD', 'A,I', [0xED, 0x57], 9),
+  entry('LD', 'A,R', [0xED, 0x5F], 9),
+  entry('LD', 'I,A', [0xED, 0x47], 9),
+  entry('LD', 'R,A', [0xED, 0x4F], 9),
+
+  // 16-bit loads - the HL forms come first, ahead of the ED-prefixed rr forms
+  entry('LD', 'rr:4,nn', [0x01], 10),
+  entry('LD', 'HL,(nn)', [0x2A], 16),
+  entry('LD', 'rr:4,(nn)', [0xED, 0x4B], 20),
+  entry('LD', '(nn),HL', [0x22], 16),
+  entry('LD', '(nn),rr:4', [0xED, 0x43], 20),
+  entry('LD', 'SP,HL', [0xF9], 6),
+
+  // 8-bit arithmetic and logic, with and without the explicit A operand
+  ...Object.keys(ALU_OPCODES).flatMap(mnemonic => [
+    entry(mnemonic, 'r:0', [ALU_OPCODES[mnemonic]], 4),
+    entry(mnemonic, '(HL)', [ALU_OPCODES[mnemonic] | 6], 7),
+    entry(mnemonic, 'n', [ALU_IMM_OPCODES[mnemonic]], 7),
+    entry(mnemonic, 'A,r:0', [ALU_OPCODES[mnemonic]], 4),
+    entry(mnemonic, 'A,(HL)', [ALU_OPCODES[mnemonic] | 6], 7),
+    entry(mnemonic, 'A,n', [ALU_IMM_OPCODES[mnemonic]], 7)
+  ]),
+
+  // 16-bit arithmetic
+  entry('ADD', 'HL,rr:4', [0x09], 11),
+  entry('ADC', 'HL,rr:4', [0xED, 0x4A], 15),
+  entry('SBC', 'HL,rr:4', [0xED, 0x42], 15),
+
+  entry('INC', 'r:3', [0x04], 4),
+  entry('INC', '(HL)', [0x34], 11),
+  entry('INC', 'rr:4', [0x03], 6),
+  entry('DEC', 'r:3', [0x05], 4),
+  entry('DEC', '(HL)', [0x35], 11),
+  entry('DEC', 'rr:4', [0x0B], 6),
+
+  entry('PUSH', 'qq:4', [0xC5], 11),
+  entry('POP', 'qq:4', [0xC1], 10),
+
+  // Jumps, calls and returns
+  entry('JP', 'nn', [0xC3], 10),
+  entry('JP', 'cc:3,nn', [0xC2], 10),
+  entry('JP', '(HL)', [0xE9], 4),
+  entry('JR', 'e', [0x18], 12),
+  entry('JR', 'jc:3,e', [0x20], [12, 7]),
+  entry('DJNZ', 'e', [0x10], [13, 8]),
+  entry('CALL', 'nn', [0xCD], 17),
+  entry('CALL', 'cc:3,nn', [0xC4], [17, 10]),
+  entry('RET', 'cc:3', [0xC0], [11, 5]),
+  entry('RST', 'p:0', [0xC7], 11),
+
+  entry('IM', 'im:3', [0xED, 0x46], 8),
+
+  // Rotates, shifts and bit operations (SLL is undocumented)
+  ...Object.keys(CB_INSTRUCTIONS).filter(m => !['BIT', 'SET', 'RES'].includes(m)).flatMap(mnemonic => [
+    entry(mnemonic, 'r:0', [0xCB, CB_INSTRUCTIONS[mnemonic]], 8, { undocumented: mnemonic === 'SLL' }),
+    entry(mnemonic, '(HL)', [0xCB, CB_INSTRUCTIONS[mnemonic] | 6], 15, { undocumented: mnemonic === 'SLL' })
+  ]),
+  ...['BIT', 'SET', 'RES'].flatMap(mnemonic => [
+    entry(mnemonic, 'b:3,r:0', [0xCB, CB_INSTRUCTIONS[mnemonic]], 8),
+    entry(mnemonic, 'b:3,(HL)', [0xCB, CB_INSTRUCTIONS[mnemonic] | 6], mnemonic === 'BIT' ? 12 : 15)
+  ]),
+
+  ...Object.entries(EX_INSTRUCTIONS).map(([operands, def]) =>
+    entry('EX', operands, [def.opcode], def.cycles)
+  ),
+
+  // I/O - IN (C), IN F,(C) and OUT (C),0 are undocumented
+  entry('IN', 'A,(n)', [0xDB], 11),
+  entry('IN', 'r:3,(C)', [0xED, 0x40], 12),
+  entry('IN', '(C)', [0xED, 0x70], 12, { undocumented: true }),
+  entry('IN', 'F,(C)', [0xED, 0x70], 12, { undocumented: true }),
+  entry('OUT', '(n),A', [0xD3], 11),
+  entry('OUT', '(C),r:3', [0xED, 0x41], 12),
+  entry('OUT', '(C),0', [0xED, 0x71], 12, { undocumented: true })
+];
+
+const isImmediate = op => op?.type === OPERAND.IMMEDIATE;
+const isMemory = op => op?.type === OPERAND.MEMORY;
+const registerName = op => op?.type === OPERAND.REGISTER ? op.name : undefined;
+const conditionName = op => op?.type === OPERAND.CONDITION ? op.name : undefined;
+
+// Registers and indirect registers as written, for matching literal pattern items
+function operandKey(op) {
+  if (op?.type === OPERAND.REGISTER) return op.name;
+  if (op?.type === OPERAND.INDIRECT) return `(${op.register})`;
+  return undefined;
+}
 
-  // LD A, (nn) - extended addressing
-  // Handle both number addresses and label reference objects
-  if (dest === 'A') {
-    if (typeof src === 'number' && src > 255) {
-      return {
-        bytes: [0x3A, src & 0xFF, (src >> 8) & 0xFF],
-        size: 3
-      };
+/**
+ * Operand pattern items other than literals
+ * - match: whether an operand fits the item
+ * - code: value ORed into the last opcode byte (at the item's shift)
+ * - bytes: number of bytes emitted after the opcode
+ * Value checks in code() are skipped while sizing, when labels may not be known yet.
+ */
+const OPERAND_KINDS = {
+  'r': { match: op => REG8[registerName(op)] !== undefined, code: op => REG8[op.name] },
+  'rr': { match: op => REG16[registerName(op)] !== undefined, code: op => REG16[op.name] },
+  'qq': { match: op => STACK_REG[registerName(op)] !== undefined, code: op => STACK_REG[op.name] },
+  'cc': { match: op => CONDITIONS[conditionName(op)] !== undefined, code: op => CONDITIONS[op.name] },
+  'jc': { match: op => ['NZ', 'Z', 'NC', 'C'].includes(conditionName(op)), code: op => CONDITIONS[op.name] },
+  'n': { match: isImmediate, bytes: 1, range: [-128, 255] },
+  'nn': { match: isImmediate, bytes: 2, range: [-32768, 65535] },
+  '(n)': { match: isMemory, bytes: 1, range: [0, 255] },
+  '(nn)': { match: isMemory, bytes: 2, range: [0, 65535] },
+  'e': { match: isImmediate, bytes: 1 },
+  'b': {
+    match: isImmediate,
+    code: (value, sizing) => {
+      if (!sizing && (value < 0 || value > 7)) {
+        throw new Error(`Invalid bit number: ${value} (must be 0 to 7)`);
+      }
+      return value & 7;
     }
-    if (src && typeof src === 'object' && src.type === 'LABEL_REF') {
-      // This will be resolved in codegen, but for now check if it's an address
-      const addr = src.address;
-      if (addr > 255) {
-        return {
-          bytes: [0x3A, addr & 0xFF, (addr >> 8) & 0xFF],
-          size: 3
-        };
+  },
+  'p': {
+    match: isImmediate,
+    code: (value, sizing) => {
+      if (!sizing && ((value & 0x38) !== value)) {
+        throw new Error(`Invalid RST address: ${value}`);
       }
+      return value & 0x38;
     }
-    // LD A, n - 8-bit immediate
-    if (typeof src === 'number' && src <= 255) {
-      return {
-        bytes: [0x3E, src & 0xFF],
-        size: 2
-      };
+  },
+  'im': {
+    match: isImmediate,
+    code: (value, sizing) => {
+      const modes = { 0: 0, 1: 2, 2: 3 };
+      if (!sizing && modes[value] === undefined) {
+        throw new Error(`Invalid interrupt mode: ${value} (must be 0, 1 or 2)`);
+      }
+      return modes[value] ?? 0;
     }
-  }
-
-  // LD (BC), A
-  if (dest === '(BC)' && src === 'A') {
-    return { bytes: [0x02], size: 1 };
-  }
-
-  // LD (DE), A
-  if (dest === '(DE)' && src === 'A') {
-    return { bytes: [0x12], size: 1 };
-  }
-
-  // LD (nn), A
-  // dest should be a number (address) - label references are resolved in codegen
-  if (typeof dest === 'number' && src === 'A') {
-    // Indirect addressing (nn) passed as number
-    return {
-      bytes: [0x32, dest & 0xFF, (dest >> 8) & 0xFF],
-      size: 3
-    };
-  }
-
-  // LD dd, nn - 16-bit immediate load
-  // This matches any 16-bit register with a number
-  if (REG16[dest] !== undefined && typeof src === 'number') {
-    return {
-      bytes: [0x01 | (REG16[dest] << 4), src & 0xFF, (src >> 8) & 0xFF],
-      size: 3
-    };
-  }
-
-  // LD SP, HL
-  if (dest === 'SP' && src === 'HL') {
-    return { bytes: [0xF9], size: 1 };
-  }
-
-  // LD (nn), HL
-  if ((typeof dest === 'number' || (dest && typeof dest === 'object' && dest.type === 'LABEL_REF')) && src === 'HL') {
-    const addr = typeof dest === 'number' ? dest : (dest.address || 0);
-    return {
-      bytes: [0x22, addr & 0xFF, (addr >> 8) & 0xFF],
-      size: 3
-    };
-  }
+  },
+  '0': { match: (op, sizing) => isImmediate(op) && (sizing || op.value === 0) }
+};
 
-  // LD HL, (nn)
-  if (dest === 'HL' && (typeof src === 'number' || (src && typeof src === 'object' && src.type === 'LABEL_REF'))) {
-    const addr = typeof src === 'number' ? src : (src.address || 0);
-    return {
-      bytes: [0x2A, addr & 0xFF, (addr >> 8) & 0xFF],
-      size: 3
-    };
-  }
+// Parse each pattern once and group the table by mnemonic
+const TABLE_BY_MNEMONIC = {};
+for (const def of OPCODE_TABLE) {
+  def.pattern = def.operands === '' ? [] : def.operands.split(',').map(item => {
+    const [kind, shift] = item.split(':');
+    return OPERAND_KINDS[kind] ? { kind, shift: Number(shift || 0) } : { literal: kind };
+  });
+  def.size = def.opcode.length + def.pattern.reduce((n, item) => n + (OPERAND_KINDS[item.kind]?.bytes || 0), 0);
+  (TABLE_BY_MNEMONIC[def.mnemonic] ||= []).push(def);
+}
 
-  throw new Error(`Unsupported LD pattern: ${dest}, ${src}`);
+function matchesPattern(def, operands, sizing) {
+  return def.pattern.length === operands.length && def.pattern.every((item, i) =>
+    item.literal !== undefined
+      ? operandKey(operands[i]) === item.literal
+      : Boolean(OPERAND_KINDS[item.kind].match(operands[i], sizing))
+  );
 }
 
 /**
- * JP instruction patterns
+ * Look up the table entry for an instruction (without index registers)
  */
-export function encodeJP(operands) {
-  if (operands.length === 1) {
-    const target = operands[0];
-
-    // JP (HL)
-    if (target === '(HL)') {
-      return { bytes: [0xE9], size: 1, cycles: 4 };
-    }
-
-    // JP nn - unconditional jump
-    if (typeof target === 'number') {
-      return {
-        bytes: [0xC3, target & 0xFF, (target >> 8) & 0xFF],
-        size: 3,
-        cycles: 10
-      };
-    }
+export function findOpcode(mnemonic, operands, sizing = false) {
+  const defs = TABLE_BY_MNEMONIC[mnemonic];
+  if (!defs) {
+    throw new Error(`Unsupported instruction: ${mnemonic}`);
   }
-
-  // JP cc, nn - conditional jump
-  if (operands.length === 2) {
-    const [cc, target] = operands;
-    if (CONDITIONS[cc] !== undefined && typeof target === 'number') {
-      return {
-        bytes: [0xC2 | (CONDITIONS[cc] << 3), target & 0xFF, (target >> 8) & 0xFF],
-        size: 3,
-        cycles: 10
-      };
-    }
+  const def = defs.find(d => matchesPattern(d, operands, sizing));
+  if (!def) {
+    throw Object.assign(new Error(`Unsupported ${mnemonic} pattern: ${operands.map(formatOperand).join(', ')}`), { pattern: true });
   }
-
-  throw new Error(`Unsupported JP pattern: ${operands.join(', ')}`);
+  return def;
 }
 
 /**
- * JR instruction patterns (relative jumps)
+ * Encode an instruction from its table entry
+ *
+ * Operand values must be resolved (numbers rather than label references) unless
+ * sizing, in which case unresolved values count as 0 and only the layout matters.
+ * Relative jump offsets are calculated from address.
+ *
+ * Values too wide for their field are truncated and listed in outOfRange
+ * ({ message, column }), so the caller decides whether that is an error or a warning.
  */
-export function encodeJR(operands) {
-  if (operands.length === 1) {
-    const offset = operands[0];
-    if (typeof offset === 'number') {
-      // Offset is already calculated relative to instruction end
-      // Convert to signed 8-bit
-      const relOffset = offset < 0 ? (0x100 + offset) : offset;
-      return {
-        bytes: [0x18, relOffset & 0xFF],
-        size: 2,
-        cycles: 12
-      };
+function encodeFromTable(mnemonic, operands, address, sizing) {
+  const def = findOpcode(mnemonic, operands, sizing);
+  const bytes = [...def.opcode];
+  const last = bytes.length - 1;
+  const outOfRange = [];
+
+  def.pattern.forEach((item, i) => {
+    const kind = OPERAND_KINDS[item.kind];
+    if (!kind) return;
+
+    const op = operands[i];
+    const raw = isMemory(op) ? op.address : op.value;
+    const value = typeof raw === 'number' ? raw : 0;
+
+    if (kind.code) {
+      try {
+        bytes[last] |= kind.code(isImmediate(op) ? value : op, sizing) << item.shift;
+      } catch (e) {
+        e.column ??= op.column; // point diagnostics at the operand (bit number, RST vector, IM mode)
+        throw e;
+      }
     }
-  }
-
-  // JR cc, e - conditional relative
-  if (operands.length === 2) {
-    const [cc, offset] = operands;
-    if (typeof offset === 'number') {
-      const relOffset = offset < 0 ? (0x100 + offset) : offset;
-      const opcodes = {
-        'NZ': 0x20, 'Z': 0x28, 'NC': 0x30, 'C': 0x38
-      };
-      if (opcodes[cc] !== undefined) {
-        return {
-          bytes: [opcodes[cc], relOffset & 0xFF],
-          size: 2,
-          cycles: [12, 7]
-        };
+    if (item.kind === 'e') {
+      const offset = value - (address + def.size);
+      if (!sizing && (offset < -128 || offset > 127)) {
+        throw Object.assign(new Error(`Relative jump out of range: ${offset} (must be -128 to 127)`), { column: op.column });
       }
+      bytes.push(offset & 0xFF);
+      return;
     }
-  }
+    if (!sizing && kind.range && (value < kind.range[0] || value > kind.range[1])) {
+      outOfRange.push({
+        message: `Value out of range: ${value} (must be ${kind.range[0]} to ${kind.range[1]})`,
+        column: op.column
+      });
+    }
+    if (kind.bytes === 1) {
+      bytes.push(value & 0xFF);
+    } else if (kind.bytes === 2) {
+      bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+  });
 
-  throw new Error(`Unsupported JR pattern: ${operands.join(', ')}`);
+  return { bytes, size: def.size, cycles: def.cycles, undocumented: Boolean(def.undocumented), outOfRange };
 }
 
-/**
- * DJNZ instruction
- */
-export function encodeDJNZ(offset) {
-  if (typeof offset === 'number') {
-    // Offset is already calculated relative to instruction end
-    const relOffset = offset < 0 ? (0x100 + offset) : offset;
-    return {
-      bytes: [0x10, relOffset & 0xFF],
-      size: 2,
-      cycles: [13, 8]
-    };
-  }
-  throw new Error(`Invalid DJNZ offset: ${offset}`);
-}
+const hasIndexOperand = operands => operands.some(op =>
+  INDEX_PREFIX[registerName(op)] || INDEX_HALVES[registerName(op)] || op.type === OPERAND.INDEXED
+);
 
 /**
- * Arithmetic/Logic operations
+ * Encode an instruction at the given address
+ * IX/IY forms are encoded as the HL form behind a DD/FD prefix (see encodeIndexed)
  */
-export const ALU_OPCODES = {
-  'ADD': 0x80, 'ADC': 0x88, 'SUB': 0x90, 'SBC': 0x98,
-  'AND': 0xA0, 'XOR': 0xA8, 'OR':  0xB0, 'CP':  0xB8
-};
-
-export const ALU_IMM_OPCODES = {
-  'ADD': 0xC6, 'ADC': 0xCE, 'SUB': 0xD6, 'SBC': 0xDE,
-  'AND': 0xE6, 'XOR': 0xEE, 'OR':  0xF6, 'CP':  0xFE
-};
-
-export function encodeALU(mnemonic, operands) {
-  if (operands.length === 1) {
-    const op = operands[0];
-
-    // ALU A, r
-    if (REG8[op] !== undefined) {
-      return {
-        bytes: [ALU_OPCODES[mnemonic] | REG8[op]],
-        size: 1
-      };
-    }
-
-    // ALU A, (HL)
-    if (op === '(HL)') {
-      return {
-        bytes: [ALU_OPCODES[mnemonic] | 6],
-        size: 1
-      };
-    }
-
-    // ALU A, n - immediate
-    if (typeof op === 'number') {
-      return {
-        bytes: [ALU_IMM_OPCODES[mnemonic], op & 0xFF],
-        size: 2
-      };
-    }
+export function encodeInstruction(mnemonic, operands, address = 0) {
+  if (hasIndexOperand(operands)) {
+    return encodeIndexed(mnemonic, operands, hlOperands => encodeFromTable(mnemonic, hlOperands, address, false));
   }
-
-  // ALU A, r (explicit A operand)
-  if (operands.length === 2 && operands[0] === 'A') {
-    return encodeALU(mnemonic, [operands[1]]);
-  }
-
-  throw new Error(`Unsupported ${mnemonic} pattern: ${operands.join(', ')}`);
+  return encodeFromTable(mnemonic, operands, address, false);
 }
 
 /**
- * ADD HL,ss - 16-bit addition
+ * Size of an instruction in bytes, from the same table entry the code
+ * generator encodes with. Label references may still be unresolved.
  */
-export function encodeADDHL(operands) {
-  if (operands.length === 2 && operands[0] === 'HL' && REG16[operands[1]] !== undefined) {
-    return {
-      bytes: [0x09 | (REG16[operands[1]] << 4)],
-      size: 1
-    };
+export function instructionSize(mnemonic, operands) {
+  if (hasIndexOperand(operands)) {
+    return encodeIndexed(mnemonic, operands, hlOperands => encodeFromTable(mnemonic, hlOperands, 0, true)).size;
   }
-  throw new Error(`Unsupported ADD HL pattern: ${operands.join(', ')}`);
+  return encodeFromTable(mnemonic, operands, 0, true).size;
 }
 
 /**
- * INC/DEC patterns
+ * Index register prefixes
  */
-export function encodeINC(operand) {
-  // 8-bit INC r
-  if (REG8[operand] !== undefined) {
-    return {
-      bytes: [0x04 | (REG8[operand] << 3)],
-      size: 1
-    };
-  }
-
-  // INC (HL)
-  if (operand === '(HL)') {
-    return { bytes: [0x34], size: 1 };
-  }
-
-  // 16-bit INC rr
-  if (REG16[operand] !== undefined) {
-    return {
-      bytes: [0x03 | (REG16[operand] << 4)],
-      size: 1
-    };
-  }
-
-  throw new Error(`Unsupported INC operand: ${operand}`);
-}
-
-export function encodeDEC(operand) {
-  // 8-bit DEC r
-  if (REG8[operand] !== undefined) {
-    return {
-      bytes: [0x05 | (REG8[operand] << 3)],
-      size: 1
-    };
-  }
-
-  // DEC (HL)
-  if (operand === '(HL)') {
-    return { bytes: [0x35], size: 1 };
-  }
-
-  // 16-bit DEC rr
-  if (REG16[operand] !== undefined) {
-    return {
-      bytes: [0x0B | (REG16[operand] << 4)],
-      size: 1
-    };
-  }
-
-  throw new Error(`Unsupported DEC operand: ${operand}`);
-}
+export const INDEX_PREFIX = {
+  'IX': 0xDD,
+  'IY': 0xFD
+};
 
 /**
- * PUSH/POP patterns
+ * Undocumented 8-bit halves of the index registers, as [index register, H/L]
  */
-export function encodePUSH(operand) {
-  if (STACK_REG[operand] !== undefined) {
-    return {
-      bytes: [0xC5 | (STACK_REG[operand] << 4)],
-      size: 1
-    };
-  }
-  throw new Error(`Unsupported PUSH operand: ${operand}`);
-}
-
-export function encodePOP(operand) {
-  if (STACK_REG[operand] !== undefined) {
-    return {
-      bytes: [0xC1 | (STACK_REG[operand] << 4)],
-      size: 1
-    };
-  }
-  throw new Error(`Unsupported POP operand: ${operand}`);
-}
+export const INDEX_HALVES = {
+  'IXH': ['IX', 'H'], 'IXL': ['IX', 'L'],
+  'IYH': ['IY', 'H'], 'IYL': ['IY', 'L']
+};
 
 /**
- * CALL patterns
+ * IX/IY instructions
+ *
+ * Every indexed instruction is the HL form of the same instruction behind a
+ * DD (IX) or FD (IY) prefix: IX/IY takes the place of HL, and (IX+d)/(IY+d)
+ * takes the place of (HL) with the displacement byte following the opcode.
+ * In the DDCB/FDCB group the displacement comes before the final opcode byte.
+ *
+ * Undocumented forms are flagged on the result: IXH/IXL/IYH/IYL take the
+ * place of H/L, and a trailing register on a DDCB rotate/shift/SET/RES
+ * (RLC (IX+d),B) also copies the result into that register.
+ *
+ * encodeHL is called with the HL-equivalent operands and returns the
+ * unprefixed encoding. Its pattern errors are reported with the operands
+ * as written, not their HL equivalents.
  */
-export function encodeCALL(operands) {
-  if (operands.length === 1) {
-    const target = operands[0];
-    if (typeof target === 'number') {
-      return {
-        bytes: [0xCD, target & 0xFF, (target >> 8) & 0xFF],
-        size: 3
-      };
+export function encodeIndexed(mnemonic, operands, encodeHL) {
+  const written = operands;
+  let indexReg = null;
+  let displacement = null;
+  let displacementColumn;
+  let displacementWritten = false;
+  let usesIndexRegister = false;
+  let usesHalves = false;
+  let copyTo = null;
+
+  const useIndex = (reg) => {
+    if (indexReg && indexReg !== reg) {
+      throw new Error(`Cannot combine ${indexReg} and ${reg} in one instruction`);
+    }
+    indexReg = reg;
+  };
+
+  // RLC (IX+d),r / SET b,(IX+d),r - the trailing register receives a copy of the result
+  const last = registerName(operands[operands.length - 1]);
+  const cbOperands = ['BIT', 'SET', 'RES'].includes(mnemonic) ? 3 : 2;
+  if (CB_INSTRUCTIONS[mnemonic] !== undefined && operands.length === cbOperands && REG8[last] !== undefined) {
+    if (mnemonic === 'BIT') {
+      throw new Error(`Unsupported BIT pattern: ${operands.map(formatOperand).join(', ')}`);
     }
+    copyTo = last;
+    operands = operands.slice(0, -1);
   }
 
-  // CALL cc, nn
-  if (operands.length === 2) {
-    const [cc, target] = operands;
-    if (CONDITIONS[cc] !== undefined && typeof target === 'number') {
-      return {
-        bytes: [0xC4 | (CONDITIONS[cc] << 3), target & 0xFF, (target >> 8) & 0xFF],
-        size: 3
-      };
+  const hlOperands = operands.map(op => {
+    const name = registerName(op);
+    if (INDEX_PREFIX[name]) {
+      useIndex(name);
+      usesIndexRegister = true;
+      return { type: OPERAND.REGISTER, name: 'HL' };
     }
+    if (INDEX_HALVES[name]) {
+      useIndex(INDEX_HALVES[name][0]);
+      usesHalves = true;
+      return { type: OPERAND.REGISTER, name: INDEX_HALVES[name][1] };
+    }
+    if (op.type === OPERAND.INDEXED) {
+      useIndex(op.register);
+      displacement = op.displacement;
+      displacementColumn = op.column;
+      displacementWritten = Boolean(op.written);
+      return { type: OPERAND.INDIRECT, register: 'HL' };
+    }
+    return op;
+  });
+
+  // HL itself cannot appear alongside an index register (ADD IX,HL, LD (IX+d),(HL)),
+  // and H/L only combine with (IX+d), never with IX/IY as a whole or their halves
+  const conflicts = usesIndexRegister || usesHalves ? ['H', 'L', 'HL', '(HL)'] : ['HL', '(HL)'];
+  if (operands.some(op => conflicts.includes(operandKey(op))) ||
+      (usesHalves && (usesIndexRegister || displacement !== null)) ||
+      (copyTo && displacement === null)) {
+    throw new Error(`Unsupported ${mnemonic} pattern with ${indexReg}: ${operands.map(formatOperand).join(', ')}`);
+  }
+  if (mnemonic === 'EX' && operandKey(operands[0]) !== '(SP)') {
+    throw new Error(`Unsupported EX pattern with ${indexReg}: ${operands.map(formatOperand).join(', ')}`);
+  }
+
+  const prefix = INDEX_PREFIX[indexReg];
+  let encoding;
+  try {
+    encoding = encodeHL(hlOperands);
+  } catch (e) {
+    if (e.pattern) {
+      throw new Error(`Unsupported ${mnemonic} pattern: ${written.map(formatOperand).join(', ')}`);
+    }
+    throw e;
   }
+  const bytes = encoding.bytes;
+  const undocumented = Boolean(encoding.undocumented || usesHalves || copyTo);
+  const outOfRange = encoding.outOfRange;
 
-  throw new Error(`Unsupported CALL pattern: ${operands.join(', ')}`);
-}
-
-/**
- * RET cc patterns
- */
-export function encodeRETCC(cc) {
-  if (CONDITIONS[cc] !== undefined) {
-    return {
-      bytes: [0xC0 | (CONDITIONS[cc] << 3)],
-      size: 1
-    };
+  // ED-prefixed HL forms (ADC HL,ss, SBC HL,ss) have no index register equivalent,
+  // and the CB group only has (IX+d) forms
+  if (bytes[0] === 0xED || (bytes[0] === 0xCB && displacement === null)) {
+    throw new Error(`Unsupported ${mnemonic} pattern with ${indexReg}: ${operands.map(formatOperand).join(', ')}`);
   }
-  throw new Error(`Unsupported RET condition: ${cc}`);
-}
 
-/**
- * RST patterns (restart)
- */
-export function encodeRST(addr) {
-  if (typeof addr === 'number' && (addr & 0x38) === addr && addr >= 0 && addr <= 0x38) {
-    return {
-      bytes: [0xC7 | (addr & 0x38)],
-      size: 1
-    };
+  // JP (IX) takes no displacement
+  if (displacement === null || mnemonic === 'JP') {
+    if (displacementWritten) {
+      throw new Error(`JP (${indexReg}) does not take a displacement`);
+    }
+    return { bytes: [prefix, ...bytes], size: bytes.length + 1, undocumented, outOfRange };
   }
-  throw new Error(`Invalid RST address: ${addr}`);
-}
 
-/**
- * CB-prefixed instructions (rotate/shift/bit)
- */
-export const CB_INSTRUCTIONS = {
-  'RLC':  0x00, 'RRC':  0x08, 'RL':   0x10, 'RR':   0x18,
-  'SLA':  0x20, 'SRA':  0x28, 'SLL':  0x30, 'SRL':  0x38,
-  'BIT':  0x40, 'RES':  0x80, 'SET':  0xC0
-};
+  if (typeof displacement !== 'number' || displacement < -128 || displacement > 127) {
+    throw Object.assign(
+      new Error(`Index displacement out of range: ${displacement} (must be -128 to 127)`),
+      { column: displacementColumn }
+    );
+  }
+  const d = displacement & 0xFF;
 
-export function encodeCB(mnemonic, operands) {
-  if (mnemonic === 'BIT' || mnemonic === 'SET' || mnemonic === 'RES') {
-    // BIT/SET/RES b, r or BIT/SET/RES b, (HL)
-    if (operands.length === 2) {
-      const [bit, reg] = operands;
-      if (typeof bit === 'number' && bit >= 0 && bit <= 7) {
-        if (reg === '(HL)') {
-          return {
-            bytes: [0xCB, CB_INSTRUCTIONS[mnemonic] | (bit << 3) | 6],
-            size: 2
-          };
-        }
-        if (REG8[reg] !== undefined) {
-          return {
-            bytes: [0xCB, CB_INSTRUCTIONS[mnemonic] | (bit << 3) | REG8[reg]],
-            size: 2
-          };
-        }
-      }
-    }
-  } else {
-    // RLC/RRC/RL/RR/SLA/SRA/SLL/SRL r or (HL)
-    if (operands.length === 1) {
-      const reg = operands[0];
-      if (reg === '(HL)') {
-        return {
-          bytes: [0xCB, CB_INSTRUCTIONS[mnemonic] | 6],
-          size: 2
-        };
-      }
-      if (REG8[reg] !== undefined) {
-        return {
-          bytes: [0xCB, CB_INSTRUCTIONS[mnemonic] | REG8[reg]],
-          size: 2
-        };
-      }
-    }
+  // DDCB d op / FDCB d op - the low three bits select the copy register (6 = none)
+  if (bytes[0] === 0xCB) {
+    const op = copyTo ? (bytes[1] & 0xF8) | REG8[copyTo] : bytes[1];
+    return { bytes: [prefix, 0xCB, d, op], size: 4, undocumented, outOfRange };
   }
 
-  throw new Error(`Unsupported CB instruction: ${mnemonic} ${operands.join(', ')}`);
+  return {
+    bytes: [prefix, bytes[0], d, ...bytes.slice(1)],
+    size: bytes.length + 2,
+    undocumented,
+    outOfRange
+  };
 }
 
 /**
- * IN/OUT instructions
+ * Format an instruction for diagnostics, e.g. "LD A, (IX+5)"
  */
-export function encodeIN(operands) {
-  // IN A, (n)
-  if (operands.length === 2 && operands[0] === 'A') {
-    const port = operands[1];
-    if (typeof port === 'number') {
-      return {
-        bytes: [0xDB, port & 0xFF],
-        size: 2
-      };
-    }
-  }
-  throw new Error(`Unsupported IN pattern: ${operands.join(', ')}`);
+export function formatInstruction(mnemonic, operands) {
+  const text = operands.map(formatOperand).join(', ');
+  return text ? `${mnemonic} ${text}` : mnemonic;
 }
 
-export function encodeOUT(operands) {
-  // OUT (n), A
-  if (operands.length === 2 && operands[1] === 'A') {
-    const port = operands[0];
-    if (typeof port === 'number') {
-      return {
-        bytes: [0xD3, port & 0xFF],
-        size: 2
-      };
+function formatOperand(op) {
+  switch (op?.type) {
+    case OPERAND.REGISTER:
+    case OPERAND.CONDITION:
+      return op.name;
+    case OPERAND.INDIRECT:
+      return `(${op.register})`;
+    case OPERAND.IMMEDIATE:
+      return formatValue(op.value);
+    case OPERAND.MEMORY:
+      return `(${formatValue(op.address)})`;
+    case OPERAND.INDEXED: {
+      const d = op.displacement;
+      return `(${op.register}${d < 0 ? '-' : '+'}${Math.abs(d)})`;
     }
+    default:
+      return String(op);
   }
-  throw new Error(`Unsupported OUT pattern: ${operands.join(', ')}`);
 }
 
+function formatValue(value) {
+  return value && typeof value === 'object' && value.type === 'LABEL_REF' ? value.name : value;
+}
@@ -1,9 +1,64 @@
-import { TOKEN, MEMORY, CONDITIONS, REG8, REG16 } from './constants.js';
-import { ExpressionEvaluator } from './evaluator.js';
+import { TOKEN, MEMORY, CONDITIONS, OPERAND, POSITIONAL_DIRECTIVES } from './constants.js';
+import { ExpressionEvaluator, BUILTIN_FUNCTIONS } from './evaluator.js';
+import { instructionSize } from './opcodes.js';
+import { Lexer } from './lexer.js';
+import { CHARMAPS, mapCharacter } from './charmaps.js';
+
+const UNDOC_MODES = { 'ON': 'allow', 'WARN': 'warn', 'OFF': 'error' };
+
+// Sizing passes allowed before giving up on symbol values settling
+const DEFAULT_MAX_PASSES = 10;
+
+// Macro invocations nested deeper than this are assumed to be runaway recursion
+const MAX_MACRO_DEPTH = 32;
+
+// Directives that open a block of lines, and the directive that closes it
+const BLOCK_ENDS = { MACRO: 'ENDM', REPT: 'ENDR', IRP: 'ENDR', IRPC: 'ENDR', STRUCT: 'ENDS', ENUM: 'ENDE' };
+const isBlockEnd = name => Object.values(BLOCK_ENDS).includes(name);
+
+// Conditional assembly directives, without the optional dot
+const CONDITIONALS = new Set(['IF', 'ELSEIF', 'ELSE', 'ENDIF', 'IFDEF', 'IFNDEF', 'IFB', 'IFNB']);
+
+// Directives that take the label before them as a name (ENDP: the PROC it closes),
+// so it is not defined at the current address
+const NAMING_DIRECTIVES = new Set(['.EQU', 'EQU', '.DEFL', 'DEFL', '.MACRO', 'MACRO', '.ENDP', 'ENDP', '.STRUCT', 'STRUCT']);
+
+// Directives whose label is not a symbol of the current MODULE or PROC
+const UNSCOPED_NAMES = new Set(['.MACRO', 'MACRO', '.ENDP', 'ENDP']);
+
+// Scoping directives, without the optional dot, and the directive closing each scope
+const SCOPE_DIRECTIVES = new Set(['MODULE', 'ENDMODULE', 'PROC', 'ENDP', 'PUBLIC']);
+const SCOPE_ENDS = { MODULE: 'ENDMODULE', PROC: 'ENDP' };
+
+// Directives followed by names they define or declare rather than refer to
+const NAME_AFTER_DIRECTIVES = new Set([...SCOPE_DIRECTIVES, 'STRUCT']);
+
+// Field directives of a STRUCT, and the width of their values (DS fields are bytes)
+const FIELD_WIDTHS = { '.DB': 1, DB: 1, DEFB: 1, '.DW': 2, DW: 2, DEFW: 2, '.DS': 1, DS: 1, DEFS: 1 };
+
+// Directives whose bytes count towards SIZEOF(label)
+const DATA_DIRECTIVES = new Set([
+  '.DB', 'DB', 'DEFB', 'DEFM', '.DW', 'DW', 'DEFW', '.DS', 'DS', 'DEFS', '.FILL', 'FILL', '.INCBIN', 'INCBIN',
+  '.ASCII', 'ASCII', '.ASCIZ', 'ASCIZ', '.ASCIIT', 'ASCIIT', '.DC', 'DC', '.PSTR', 'PSTR'
+]);
+
+// String directives, without the optional dot: how each finishes the bytes of its operands
+const setLastBit7 = bytes => bytes.map((byte, i) => i === bytes.length - 1 ? byte | 0x80 : byte);
+const STRING_FORMATS = {
+  ASCII: bytes => bytes,
+  ASCIZ: bytes => [...bytes, 0],             // null-terminated
+  ASCIIT: setLastBit7,                       // last character has bit 7 set, as in the ROM's keyword tables
+  DC: setLastBit7,
+  PSTR: bytes => [bytes.length, ...bytes]    // length-prefixed
+};
 
 export class Parser {
-  constructor(tokens) {
+  constructor(tokens, options = {}) {
     this.tokens = tokens.filter(t => t.type !== TOKEN.COMMENT); // strip comments
+    if (options.fileName) {
+      this.tokens = this.tokens.map(t => ({ ...t, file: options.fileName }));
+    }
+    this.sourceTokens = this.tokens; // each pass parses a copy, as local label names are filled in
     this.pos = 0;
     this.errors = [];
     this.warnings = [];
@@ -11,51 +66,160 @@ export class Parser {
     this.currentAddress = MEMORY.DEFAULT_ORG;
     this.instructions = []; // intermediate representation
     this.pass = 1; // Track which pass we're in
+    this.options = options;
+    this.undocumented = options.undocumented || 'warn'; // 'allow', 'warn' or 'error', changed by .UNDOC
+    this.functions = options.functions || BUILTIN_FUNCTIONS;
+    this.dataLabel = null; // label whose data block is being sized (for SIZEOF)
+    this.forwardSymbols = {}; // symbol table of the previous pass, for forward references
+    this.forwardRefsUsed = false;
+    this.macros = {}; // name -> { name, params, locals, body, line }
+    this.structs = {}; // name -> { name, short, size, defaults, fields }
+    this.bodyLine = null; // parses each line of a STRUCT or ENUM body, in place of the usual line parsing
+    this.enumCount = 0; // ENUM blocks so far, which group their symbols
+    this.macroDepth = 0; // expansions currently being parsed
+    this.expansionCount = 0; // numbers LOCAL labels; restarts each pass so names match across passes
+    this.exitMacro = false; // set by EXITM
+    this.conditions = []; // open IF blocks: { token, parentActive, active, taken, elseSeen }
+    this.conditionBase = 0; // open blocks that belong to enclosing source or expansions
+    this.includes = options.fileName ? [options.fileName] : []; // files being parsed, outermost first
+    this.includeCache = new Map(); // path -> tokens, so each pass reads an included file once
+    this.binaryCache = new Map(); // path -> bytes, for INCBIN
+    this.scope = ''; // last global label, the parent of .local labels
+    this.anonymousLabels = 0; // @@ labels so far
+    this.numericLabels = {}; // number -> 1: labels with that number so far
+    this.localParents = {}; // full name of a .local label -> its parent
+    this.scopes = []; // open MODULE and PROC blocks: { kind, token, name, prefix }
+    this.publics = new Set(); // full names declared PUBLIC, defined without the scope prefix
+    this.charmap = { name: 'ASCII', codes: CHARMAPS.ASCII }; // bytes for string characters, set by .CHARMAP
+    this.phase = null; // open .PHASE block: { token, offset } - the load address is the address + offset
   }
 
   /**
-   * Two-pass assembly
-   * Pass 1: Collect labels and calculate addresses
-   * Pass 2: Resolve forward references and generate code
+   * Multi-pass assembly
+   * Pass 1 (repeated): Collect labels and calculate addresses. A symbol defined
+   *   later in the source takes its value from the previous pass (0 in the first),
+   *   so sizing passes repeat until no symbol changes value.
+   * Pass 2: Build the IR with the settled values. Any symbol that is still
+   *   undefined is an error, and so is a constant whose value still rests on
+   *   that 0 (a circular definition, see defineConstant).
+   * Only the final pass reports errors and warnings; sizing passes would repeat them.
    */
   parse() {
-    // Pass 1
-    this.pass = 1;
+    const maxPasses = this.options.maxPasses || DEFAULT_MAX_PASSES;
+    let changed = [];
+    let passes = 0;
+
+    do {
+      const previous = this.symbolTable;
+      this.runPass(1, previous);
+      passes++;
+      // Without forward references this pass could not have used a stale value
+      changed = this.forwardRefsUsed ? changedSymbols(previous, this.symbolTable) : [];
+    } while (changed.length > 0 && passes < maxPasses);
+
+    const converged = this.symbolTable;
+    this.runPass(2, converged);
+
+    if (changed.length > 0) {
+      this.errors.push({
+        message: `Assembly did not converge after ${passes} passes (still changing: ${changed.join(', ')})`,
+        line: converged[changed[0]]?.line ?? 0,
+        ...sourceOf(converged[changed[0]])
+      });
+    }
+
+    return {
+      instructions: this.instructions,
+      symbolTable: this.symbolTable,
+      errors: this.errors,
+      warnings: this.warnings,
+      startAddress: MEMORY.DEFAULT_ORG
+    };
+  }
+
+  /**
+   * Run one pass over the source with a fresh symbol table
+   */
+  runPass(pass, forwardSymbols) {
+    this.pass = pass;
+    this.tokens = [...this.sourceTokens];
     this.pos = 0;
     this.currentAddress = MEMORY.DEFAULT_ORG;
     this.symbolTable = {};
-    
-    while (!this.isAtEnd()) {
-      try {
-        this.parseLinePass1();
-      } catch (e) {
-        this.errors.push({ message: e.message, line: this.currentLine() });
-        this.synchronize();
+    this.forwardSymbols = forwardSymbols;
+    this.forwardRefsUsed = false;
+    this.dataLabel = null;
+    this.errors = [];
+    this.warnings = [];
+    this.instructions = [];
+    this.undocumented = this.options.undocumented || 'warn';
+    this.macros = {};
+    this.structs = {};
+    this.enumCount = 0;
+    this.expansionCount = 0;
+    this.conditions = [];
+    this.conditionBase = 0;
+    this.scope = '';
+    this.anonymousLabels = 0;
+    this.numericLabels = {};
+    this.localParents = {};
+    this.scopes = [];
+    this.publics = new Set();
+    this.charmap = { name: 'ASCII', codes: CHARMAPS.ASCII };
+    this.phase = null;
+
+    this.parseLines();
+    for (const { kind, token, name } of this.scopes) {
+      this.errors.push({ message: `${kind} ${name} without ${SCOPE_ENDS[kind]}`, line: token.line, ...sourceOf(token) });
+    }
+    if (this.phase) {
+      const { token } = this.phase;
+      this.errors.push({ message: `${token.value} without .DEPHASE`, line: token.line, ...sourceOf(token) });
+    }
+  }
+
+  /**
+   * Parse lines to the end of the current token list (the source, or a macro expansion)
+   */
+  parseLines() {
+    const base = this.conditionBase;
+    this.conditionBase = this.conditions.length;
+    try {
+      this.parseLinesUntilEnd();
+      // IF blocks must close in the source or macro expansion that opened them
+      if (!this.exitMacro) {
+        for (const { token } of this.conditions.slice(this.conditionBase)) {
+          this.errors.push({ message: `${token.value} without ENDIF`, line: token.line, ...sourceOf(token) });
+        }
       }
+    } finally {
+      this.conditions.length = this.conditionBase;
+      this.conditionBase = base;
     }
+  }
 
-    // Pass 2
-    this.pass = 2;
-    this.pos = 0;
-    this.currentAddress = MEMORY.DEFAULT_ORG;
-    this.instructions = [];
-    
-    while (!this.isAtEnd()) {
+  parseLinesUntilEnd() {
+    while (!this.isAtEnd() && !this.exitMacro) {
       try {
-        this.parseLinePass2();
+        if (this.pass === 1) {
+          this.parseLinePass1();
+        } else {
+          this.parseLinePass2();
+        }
       } catch (e) {
-        this.errors.push({ message: e.message, line: this.currentLine() });
+        if (e.abortExpansion && this.macroDepth > 0) {
+          throw e; // unwind runaway recursion to the outermost invocation
+        }
+        // Errors may carry the token they are about when the parser has moved past its line
+        const token = e.token ?? this.peek() ?? this.tokens[this.pos - 1];
+        const line = e.token?.line ?? this.currentLine();
+        // A line the lexer rejected part of has already been reported
+        if (!this.hasLexerError(line, token?.file)) {
+          this.errors.push({ message: e.message, line, ...sourceOf(token) });
+        }
         this.synchronize();
       }
     }
-
-    return {
-      instructions: this.instructions,
-      symbolTable: this.symbolTable,
-      errors: this.errors,
-      warnings: this.warnings,
-      startAddress: MEMORY.DEFAULT_ORG
-    };
   }
 
   parseLinePass1() {
@@ -64,12 +228,59 @@ export class Parser {
       this.advance();
     }
     if (this.isAtEnd()) return;
+    if (this.parseConditional()) return;
+    if (this.bodyLine) {
+      this.bodyLine();
+      return;
+    }
+    this.markMacroNames();
+    this.qualifyLabels();
+
+    this.parseLineLabel();
+
+    if (this.isMacroInvocation()) {
+      this.dataLabel = null;
+      this.expandMacro();
+      return;
+    }
+
+    if (this.isStructInstance()) {
+      this.parseStructInstance();
+      return;
+    }
+
+    // Check for directive
+    if (this.check(TOKEN.DIRECTIVE)) {
+      // Label should already be consumed above, so just process the directive
+      this.parseDataDirective(() => this.parseDirectivePass1());
+      return;
+    }
+
+    // Check for instruction
+    if (this.check(TOKEN.MNEMONIC)) {
+      this.dataLabel = null;
+      const size = this.calculateInstructionSize();
+      this.currentAddress += size;
+      // Skip the instruction and its operands
+      this.skipToNewline();
+      return;
+    }
+
+    // Unknown - skip to newline
+    this.skipToNewline();
+  }
 
+  /**
+   * Define the label that starts a line, if any, at the current address.
+   * The label of LABEL .EQU / LABEL .DEFL is consumed here and defined by the directive.
+   */
+  parseLineLabel() {
     // Check for label (with colon) - defines label at current address
     if (this.check(TOKEN.LABEL) && this.checkNext(TOKEN.COLON)) {
       const label = this.advance();
       this.advance(); // consume colon
       this.defineSymbol(label.value, this.currentAddress);
+      this.dataLabel = label.value;
     }
     
     // Check for label before directive (without colon) - e.g., LABEL .EQU value
@@ -78,37 +289,40 @@ export class Parser {
       const nextToken = this.tokens[this.pos + 1];
       if (nextToken && nextToken.type === TOKEN.DIRECTIVE) {
         const directiveValue = nextToken.value.toUpperCase();
-        // For EQU and DEFL, don't define the label here - let the directive handler do it
+        // For EQU, DEFL and MACRO, don't define the label here - let the directive handler do it
         // For other directives like .DB, define the label at current address
-        if (directiveValue !== '.EQU' && directiveValue !== 'EQU' && 
-            directiveValue !== '.DEFL' && directiveValue !== 'DEFL') {
+        if (!NAMING_DIRECTIVES.has(directiveValue)) {
           const label = this.advance(); // consume label
           this.defineSymbol(label.value, this.currentAddress);
+          this.dataLabel = label.value;
         } else {
-          // For EQU/DEFL, just consume the label without defining it
+          // For EQU/DEFL/MACRO, just consume the label without defining it
           this.advance();
         }
       }
     }
+  }
 
-    // Check for directive
-    if (this.check(TOKEN.DIRECTIVE)) {
-      // Label should already be consumed above, so just process the directive
-      this.parseDirectivePass1();
+  /**
+   * Process a directive, adding the bytes of .DB/.DW/.DS to the size of the
+   * label they follow for SIZEOF(). Any other directive ends the block.
+   */
+  parseDataDirective(parseDirective) {
+    if (CONDITIONALS.has(this.peek().value.replace(/^\./, ''))) {
+      const token = this.peek();
+      this.errors.push({ message: `${token.value} cannot follow a label`, line: token.line, ...sourceOf(token) });
+      this.parseConditional(); // still open or close the block, so its ENDIF is not reported as well
       return;
     }
-
-    // Check for instruction
-    if (this.check(TOKEN.MNEMONIC)) {
-      const size = this.calculateInstructionSize();
-      this.currentAddress += size;
-      // Skip the instruction and its operands
-      this.skipToNewline();
+    const isData = DATA_DIRECTIVES.has(this.peek().value);
+    const start = this.currentAddress;
+    parseDirective();
+    if (!isData || !this.dataLabel) {
+      this.dataLabel = null;
       return;
     }
-
-    // Unknown - skip to newline
-    this.skipToNewline();
+    const symbol = this.symbolTable[this.dataLabel];
+    symbol.size = (symbol.size || 0) + (this.currentAddress - start);
   }
 
   parseLinePass2() {
@@ -117,45 +331,46 @@ export class Parser {
       this.advance();
     }
     if (this.isAtEnd()) return;
+    if (this.parseConditional()) return;
+    if (this.bodyLine) {
+      this.bodyLine();
+      return;
+    }
+    this.markMacroNames();
+    this.qualifyLabels();
 
-    // Check for label (with colon)
-    if (this.check(TOKEN.LABEL) && this.checkNext(TOKEN.COLON)) {
-      const afterColon = this.tokens[this.pos + 2];
-      if (afterColon && afterColon.type === TOKEN.DIRECTIVE) {
-        // Label before directive - advance past label and colon
-        // so directive can be processed, and parseDBPass2 can detect the label
-        this.advance(); // consume label
-        this.advance(); // consume colon
-        // Now at directive - it will be processed below
-      } else {
-        const label = this.advance();
-        this.advance(); // colon
-        // Symbol table will be updated in codegen with actual addresses
-      }
+    // Labels are defined again so expressions see them (and .DEFL values) as of this line;
+    // parseDBPass2 and parseInstruction look back at the label tokens for the IR.
+    this.parseLineLabel();
+
+    if (this.isMacroInvocation()) {
+      this.dataLabel = null;
+      this.expandMacro();
+      return;
     }
-    
-    // Check for label before directive without colon (like RESULT .DB 0)
-    if (this.check(TOKEN.LABEL) && !this.checkNext(TOKEN.COLON)) {
-      const nextToken = this.tokens[this.pos + 1];
-      if (nextToken && nextToken.type === TOKEN.DIRECTIVE) {
-        // Label before directive - advance past label
-        this.advance(); // consume label
-        // Now at directive - it will be processed below
-      }
+
+    if (this.isStructInstance()) {
+      this.parseStructInstance();
+      return;
     }
-    
+
     // Check for directive
     if (this.check(TOKEN.DIRECTIVE)) {
-      this.parseDirectivePass2();
+      this.parseDataDirective(() => this.parseDirectivePass2());
       return;
     }
 
     // Check for instruction
     if (this.check(TOKEN.MNEMONIC)) {
+      this.dataLabel = null;
       this.parseInstruction();
       return;
     }
 
+    if (this.check(TOKEN.LABEL)) {
+      throw new Error(`Unknown instruction or macro: ${this.peek().value}`);
+    }
+
     // Unknown - skip to newline
     this.skipToNewline();
   }
@@ -172,42 +387,34 @@ export class Parser {
 
       case '.EQU':
       case 'EQU':
-        // EQU format: LABEL .EQU value
-        // The label is BEFORE the directive, so look back for it
-        let equLabel = null;
-        if (this.pos > 1) {
-          const prevToken = this.tokens[this.pos - 2]; // -2 because we already advanced past directive
-          if (prevToken && prevToken.type === TOKEN.LABEL) {
-            equLabel = prevToken.value;
-          }
-        }
-        if (equLabel) {
-          // For .EQU, don't allow forward references - evaluate immediately
-          const value = this.parseExpressionValue(false);
-          this.defineSymbol(equLabel, value, 'EQU');
-        }
+        this.parseConstant('EQU');
         break;
 
       case '.DEFL':
       case 'DEFL':
-        // DEFL format: LABEL .DEFL value (similar to EQU)
-        let deflLabel = null;
-        if (this.pos > 1) {
-          const prevToken = this.tokens[this.pos - 2]; // -2 because we already advanced past directive
-          if (prevToken && prevToken.type === TOKEN.LABEL) {
-            deflLabel = prevToken.value;
-          }
-        }
-        if (deflLabel) {
-          const value = this.parseExpressionValue(false);
-          this.defineSymbol(deflLabel, value, 'DEFL');
-        }
+        this.parseConstant('DEFL');
         break;
 
       case '.DB':
       case 'DB':
       case 'DEFB':
+      case 'DEFM':
+        this.parseDBPass1();
+        break;
+
+      case '.ASCII':
+      case 'ASCII':
+      case '.ASCIZ':
+      case 'ASCIZ':
+      case '.ASCIIT':
+      case 'ASCIIT':
+      case '.DC':
+      case 'DC':
+      case '.PSTR':
+      case 'PSTR':
+        // The format adds the same bytes (terminator, length) to any string
         this.parseDBPass1();
+        this.currentAddress += STRING_FORMATS[directive.value.replace(/^\./, '')]([]).length;
         break;
 
       case '.DW':
@@ -219,8 +426,110 @@ export class Parser {
       case '.DS':
       case 'DS':
       case 'DEFS':
-        const count = this.parseExpressionValue();
-        this.currentAddress += count;
+      case '.FILL':
+      case 'FILL':
+      case '.ALIGN':
+      case 'ALIGN':
+        this.currentAddress += this.parseFill(directive).length;
+        break;
+
+      case '.INCBIN':
+      case 'INCBIN':
+        this.currentAddress += this.readBinaryFile(directive).length;
+        break;
+
+      case '.MACRO':
+      case 'MACRO':
+        this.defineMacro();
+        break;
+
+      case '.STRUCT':
+      case 'STRUCT':
+        this.defineStruct(directive);
+        break;
+
+      case '.ENDS':
+      case 'ENDS':
+        throw new Error('ENDS without STRUCT');
+
+      case '.ENUM':
+      case 'ENUM':
+        this.defineEnum(directive);
+        break;
+
+      case '.ENDE':
+      case 'ENDE':
+        throw new Error('ENDE without ENUM');
+
+      case '.INCLUDE':
+      case 'INCLUDE':
+        this.includeFile(directive);
+        break;
+
+      case '.CHARMAP':
+      case 'CHARMAP':
+        this.parseCharmap(directive);
+        break;
+
+      case '.PHASE':
+      case 'PHASE':
+      case '.DEPHASE':
+      case 'DEPHASE':
+        this.parsePhase(directive);
+        break;
+
+      case '.MODULE':
+      case 'MODULE':
+      case '.ENDMODULE':
+      case 'ENDMODULE':
+      case '.PROC':
+      case 'PROC':
+      case '.ENDP':
+      case 'ENDP':
+      case '.PUBLIC':
+      case 'PUBLIC':
+        this.parseScope(directive);
+        break;
+
+      case '.REPT':
+      case 'REPT':
+      case '.IRP':
+      case 'IRP':
+      case '.IRPC':
+      case 'IRPC':
+        this.parseRepeat(directive);
+        break;
+
+      case '.EXITM':
+      case 'EXITM':
+        if (this.macroDepth === 0) {
+          throw new Error('EXITM outside a macro or repeat block');
+        }
+        this.exitMacro = true;
+        break;
+
+      case '.ENDM':
+      case 'ENDM':
+        throw new Error('ENDM without MACRO');
+
+      case '.ENDR':
+      case 'ENDR':
+        throw new Error('ENDR without REPT, IRP or IRPC');
+
+      case '.LOCAL':
+      case 'LOCAL':
+        throw new Error('LOCAL is only allowed in a macro or repeat body');
+
+      case '.UNDOC':
+      case 'UNDOC':
+        // Only affects code generation - handled in pass 2
+        break;
+
+      case '.ASSERT':
+      case 'ASSERT':
+      case '.ERROR':
+      case '.WARNING':
+        // Checked in pass 2, once symbol values have settled
         break;
 
       case '.END':
@@ -235,6 +544,900 @@ export class Parser {
     this.skipToNewline();
   }
 
+  /**
+   * Handle an IF/ELSEIF/ELSE/ENDIF line (or IFDEF, IFNDEF, IFB, IFNB), and
+   * skip lines in blocks that are not being assembled. Skipped lines define
+   * no symbols and their conditions are not evaluated.
+   * @returns {boolean} Whether the line has been consumed
+   */
+  parseConditional() {
+    const token = this.peek();
+    const name = token.type === TOKEN.DIRECTIVE ? token.value.replace(/^\./, '') : '';
+    const skipping = this.conditions.length > this.conditionBase && !this.conditions.at(-1).active;
+    if (token.type !== TOKEN.DIRECTIVE || !CONDITIONALS.has(name)) {
+      if (skipping) this.skipToNewline();
+      return skipping;
+    }
+    this.advance();
+    if (!skipping) this.qualifyReferences();
+
+    const open = this.conditions.length > this.conditionBase ? this.conditions.at(-1) : null;
+    if (name.startsWith('IF')) {
+      // Pushed before the condition is evaluated so an error in it still pairs with ENDIF
+      const block = { token, parentActive: !skipping, active: false, taken: false, elseSeen: false };
+      this.conditions.push(block);
+      if (!skipping) {
+        block.active = block.taken = this.evaluateCondition(name);
+      }
+    } else if (!open) {
+      throw new Error(`${token.value} without IF`);
+    } else if (name === 'ENDIF') {
+      this.conditions.pop();
+    } else if (open.elseSeen) {
+      throw new Error(`${token.value} after ELSE`);
+    } else if (name === 'ELSE') {
+      open.elseSeen = true;
+      open.active = open.parentActive && !open.taken;
+      open.taken = true;
+    } else {
+      open.active = false;
+      if (open.parentActive && !open.taken) {
+        open.active = open.taken = this.evaluateCondition('IF');
+      }
+    }
+
+    this.skipToNewline();
+    return true;
+  }
+
+  /**
+   * The lexer reads ALIGN, FILL and the other POSITIONAL_DIRECTIVES as
+   * directives where a directive goes. A macro of that name is used instead
+   * (ALIGN 4 with an ALIGN macro), and after a macro or STRUCT name the word
+   * is an argument (SETB FILL).
+   */
+  markMacroNames() {
+    const isName = token => this.macros[token?.value] !== undefined || this.structs[token?.value] !== undefined;
+    const isPositional = token => token?.type === TOKEN.DIRECTIVE && POSITIONAL_DIRECTIVES.has(token.value);
+    const i = this.tokens[this.pos + 1]?.type === TOKEN.COLON ? this.pos + 2 : this.pos;
+    const [token, next] = [this.tokens[i], this.tokens[i + 1]];
+    if (isPositional(token) && isName(token)) {
+      this.tokens[i] = { ...token, type: TOKEN.LABEL };
+    } else if (token?.type === TOKEN.LABEL && isName(token) && isPositional(next)) {
+      this.tokens[i + 1] = { ...next, type: TOKEN.LABEL };
+    }
+  }
+
+  /**
+   * Give the labels on the line their full names. A .local label belongs
+   * to the last global label (OUTER.LOOP); each @@ and numeric 1: label is
+   * numbered by occurrence, so @B/@F and 1B/1F name the nearest one before/after.
+   * A global label starting the line becomes the parent of the .local labels that
+   * follow, unless it comes from a macro expansion. Inside a MODULE or PROC, labels
+   * defined get its prefix and references find the innermost scope defining them.
+   */
+  qualifyLabels() {
+    const [first, next] = [this.peek(), this.tokens[this.pos + 1]];
+    const directive = next?.type === TOKEN.DIRECTIVE ? next.value : null;
+    const labelsLine = first.type === TOKEN.LABEL && (next?.type === TOKEN.COLON || directive !== null);
+    let references = this.pos;
+    if (first.type === TOKEN.NUMBER && next?.type === TOKEN.COLON && /^\d+$/.test(first.raw)) {
+      const count = (this.numericLabels[first.value] ?? 0) + 1;
+      this.numericLabels[first.value] = count;
+      this.tokens[this.pos] = { ...first, type: TOKEN.LABEL, value: `${first.value}@${count}` };
+    } else if (first.type === TOKEN.LABEL && first.value === '@@') {
+      if (!labelsLine || NAMING_DIRECTIVES.has(directive)) {
+        throw new Error('@@ is a label definition; refer to it with @B or @F');
+      }
+      this.tokens[this.pos] = { ...first, value: `@@${++this.anonymousLabels}` };
+    } else if (labelsLine) {
+      references = this.pos + 1; // the label is being defined, not referred to
+      if (first.value.startsWith('.')) {
+        this.tokens[this.pos] = { ...first, value: this.localLabelName(first) };
+      } else if (!UNSCOPED_NAMES.has(directive)) {
+        const name = this.scopedDefinition(first.value);
+        this.tokens[this.pos] = { ...first, value: name };
+        if (!NAMING_DIRECTIVES.has(directive) && !first.macro) {
+          this.scope = name;
+        }
+      }
+    } else if (first.type === TOKEN.DIRECTIVE && NAME_AFTER_DIRECTIVES.has(first.value.replace(/^\./, ''))) {
+      references = this.tokens.length; // the names after MODULE, PROC, PUBLIC and STRUCT are handled there
+    }
+    this.qualifyReferences(references);
+  }
+
+  /**
+   * Replace the label names referred to from the given token to the end of the line
+   * (the tokens are copies, so the source is unchanged for the next pass)
+   */
+  qualifyReferences(start = this.pos) {
+    for (let i = start; i < this.tokens.length && this.tokens[i].type !== TOKEN.NEWLINE; i++) {
+      const token = this.tokens[i];
+      if (token.type === TOKEN.NUMBER && /^\d+B$/i.test(token.raw)) {
+        const label = this.binaryBackReference(token);
+        if (label) this.tokens[i] = { ...token, type: TOKEN.LABEL, value: label };
+        continue;
+      }
+      if (token.type !== TOKEN.LABEL) continue;
+      const name = this.scopedReference(this.localLabelName(token));
+      if (name !== token.value) {
+        this.tokens[i] = { ...token, value: name };
+      }
+    }
+  }
+
+  /**
+   * Full name of a local label reference, or the name itself for other labels
+   */
+  localLabelName(token) {
+    const name = token.value;
+    if (name.startsWith('.')) {
+      if (!this.scope) return name;
+      this.localParents[this.scope + name] = this.scope;
+      return this.scope + name;
+    }
+    if (name === '@B') {
+      if (this.anonymousLabels === 0) throw new Error(`${token.raw} has no @@ label before it`);
+      return `@@${this.anonymousLabels}`;
+    }
+    if (name === '@F') {
+      return this.forwardLabel(`@@${this.anonymousLabels + 1}`, `${token.raw} has no @@ label after it`);
+    }
+    const numeric = /^(\d+)([BF])$/.exec(name);
+    if (numeric) {
+      const number = Number(numeric[1]);
+      const count = this.numericLabels[number] ?? 0;
+      if (numeric[2] === 'F') {
+        return this.forwardLabel(`${number}@${count + 1}`, `${token.raw} has no ${number}: label after it`);
+      }
+      if (count === 0) throw new Error(`${token.raw} has no ${number}: label before it`);
+      return `${number}@${count}`;
+    }
+    return name;
+  }
+
+  /**
+   * 10B reads as binary 2 and as a reference to the 10: label before it. It is
+   * the label when one comes before; when the only 10: labels come after, which
+   * was meant is unclear, and writing %10 or 10F says. With a leading zero
+   * (010B) it is always binary, as no label reference is written that way.
+   */
+  binaryBackReference(token) {
+    const digits = token.raw.slice(0, -1);
+    const number = Number(digits);
+    if (digits !== String(number)) return null;
+    const count = this.numericLabels[number] ?? 0;
+    if (count > 0) return `${number}@${count}`;
+    if (this.forwardSymbols[`${number}@1`]) {
+      throw new Error(`${token.raw} has no ${number}: label before it (write %${digits} for the binary number)`);
+    }
+    return null;
+  }
+
+  /**
+   * Name of the next @@ or numeric label; by pass 2 the previous pass shows whether it exists
+   */
+  forwardLabel(name, message) {
+    if (this.pass === 2 && !this.forwardSymbols[name]) throw new Error(message);
+    return name;
+  }
+
+  /** Prefix of the names defined in the current MODULE or PROC ('' outside them) */
+  scopePrefix() {
+    return this.scopes.at(-1)?.prefix ?? '';
+  }
+
+  /** Full name of a symbol defined in the current scope; PUBLIC names stay global */
+  scopedDefinition(name) {
+    const full = this.scopePrefix() + name;
+    return this.publics.has(full) ? name : full;
+  }
+
+  /**
+   * Full name of a symbol referred to in the current scope: the innermost
+   * enclosing scope that defines it, in this pass or the previous one
+   */
+  scopedReference(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      const full = this.scopes[i].prefix + name;
+      if (this.symbolTable[full] || this.forwardSymbols[full]) return full;
+    }
+    return name;
+  }
+
+  /**
+   * MODULE name / ENDMODULE, PROC / ENDP and PUBLIC name[, name...].
+   * A PROC is named by a label before it (NAME PROC) or after it (PROC NAME),
+   * which is defined at the current address like any label.
+   */
+  parseScope(directive) {
+    const name = directive.value.replace(/^\./, '');
+    if (name === 'MODULE') {
+      const nameToken = this.advance();
+      if (nameToken?.type !== TOKEN.LABEL) {
+        throw new Error(`Expected module name after ${directive.value}`);
+      }
+      this.scopes.push({ kind: 'MODULE', token: directive, name: nameToken.value, prefix: `${this.scopePrefix()}${nameToken.value}.` });
+      this.scope = '';
+    } else if (name === 'PROC') {
+      let label = this.labelBefore(directive);
+      if (!label) {
+        const nameToken = this.advance();
+        if (nameToken?.type !== TOKEN.LABEL) {
+          throw new Error(`Expected procedure name before or after ${directive.value}`);
+        }
+        label = this.scopedDefinition(nameToken.value);
+        this.defineSymbol(label, this.currentAddress);
+        this.scope = label;
+      }
+      const prefix = this.scopePrefix();
+      const short = label.startsWith(prefix) ? label.slice(prefix.length) : label;
+      this.scopes.push({ kind: 'PROC', token: directive, name: short, prefix: `${prefix}${short}.` });
+    } else if (name === 'PUBLIC') {
+      if (this.scopes.length === 0) {
+        throw new Error(`${directive.value} is only allowed in a MODULE or PROC`);
+      }
+      do {
+        const nameToken = this.advance();
+        if (nameToken?.type !== TOKEN.LABEL) {
+          throw new Error(`Expected symbol name after ${directive.value}`);
+        }
+        const full = this.scopePrefix() + nameToken.value;
+        if (this.symbolTable[full]) {
+          throw new Error(`PUBLIC ${nameToken.value} must come before ${nameToken.value} is defined`);
+        }
+        this.publics.add(full);
+      } while (this.check(TOKEN.COMMA) && this.advance());
+    } else {
+      const opening = name === 'ENDP' ? 'PROC' : 'MODULE';
+      const open = this.scopes.at(-1);
+      if (!open) {
+        throw new Error(`${directive.value} without ${opening}`);
+      }
+      if (open.kind !== opening) {
+        throw new Error(`${directive.value} inside ${open.kind} ${open.name} (missing ${SCOPE_ENDS[open.kind]})`);
+      }
+      const label = this.labelBefore(directive);
+      if (label && label !== open.name) {
+        throw new Error(`${label} ${directive.value} does not match PROC ${open.name}`);
+      }
+      this.scopes.pop();
+      this.scope = '';
+    }
+  }
+
+  /** Name of the label at the start of a directive's line (LABEL DIR or LABEL: DIR), if any */
+  labelBefore(directive) {
+    let before = this.tokens[this.pos - 2];
+    if (before?.type === TOKEN.COLON) before = this.tokens[this.pos - 3];
+    return before?.type === TOKEN.LABEL && before.line === directive.line ? before.value : null;
+  }
+
+  /**
+   * INCLUDE "file" - parse the lines of another source file here. The file
+   * is found through the fileResolver option, relative to the including file.
+   */
+  includeFile(directive) {
+    const resolver = this.options.fileResolver;
+    const path = this.resolveFile(directive);
+    if (this.includes.includes(path)) {
+      throw new Error(`Include cycle: ${[...this.includes, path].join(' -> ')}`);
+    }
+
+    if (!this.includeCache.has(path)) {
+      const tokens = new Lexer(resolver.readText(path)).tokenize()
+        .filter(t => t.type !== TOKEN.COMMENT)
+        .map(t => ({ ...t, file: path }));
+      this.includeCache.set(path, tokens);
+    }
+    const tokens = [...this.includeCache.get(path)];
+    for (const token of tokens.filter(t => t.type === 'ERROR')) {
+      this.errors.push({ message: token.message ?? `Unexpected character: ${token.value}`, line: token.line, column: token.column, file: path });
+    }
+
+    const [savedTokens, savedPos] = [this.tokens, this.pos];
+    this.tokens = tokens;
+    this.pos = 0;
+    this.includes.push(path);
+    try {
+      this.parseLines();
+    } finally {
+      this.tokens = savedTokens;
+      this.pos = savedPos;
+      this.includes.pop();
+    }
+  }
+
+  /**
+   * INCBIN "file"[,offset[,length]] - the bytes of a binary file, from offset
+   * (default 0) for length bytes (default: the rest of the file)
+   * @returns {Uint8Array} The bytes to emit
+   */
+  readBinaryFile(directive) {
+    const path = this.resolveFile(directive);
+    if (!this.binaryCache.has(path)) {
+      this.binaryCache.set(path, this.options.fileResolver.readBinary(path));
+    }
+    const data = this.binaryCache.get(path);
+
+    let offset = 0;
+    if (this.check(TOKEN.COMMA)) {
+      this.advance();
+      offset = this.parseExpressionValue();
+      if (offset < 0 || offset > data.length) {
+        throw new Error(`${directive.value} offset out of range: ${offset} (${path} has ${data.length} bytes)`);
+      }
+    }
+    let length = data.length - offset;
+    if (this.check(TOKEN.COMMA)) {
+      this.advance();
+      length = this.parseExpressionValue();
+      if (length < 0 || offset + length > data.length) {
+        throw new Error(`${directive.value} length out of range: ${length} (${data.length - offset} bytes after offset ${offset})`);
+      }
+    }
+    return data.subarray(offset, offset + length);
+  }
+
+  /**
+   * The path of the file named by INCLUDE or INCBIN, relative to the file
+   * the directive is in
+   */
+  resolveFile(directive) {
+    const nameToken = this.advance();
+    if (!nameToken || nameToken.type !== TOKEN.STRING) {
+      throw new Error(`${directive.value} expects a file name in quotes`);
+    }
+    if (!this.options.fileResolver) {
+      throw new Error(`Cannot read "${nameToken.value}": no file resolver (see the fileResolver option)`);
+    }
+    return this.options.fileResolver.resolve(nameToken.value, directive.file ?? null);
+  }
+
+  /**
+   * Whether the condition of an IF-type directive holds
+   */
+  evaluateCondition(directive) {
+    switch (directive) {
+      case 'IF':
+        return this.parseExpressionValue() !== 0;
+
+      case 'IFDEF':
+      case 'IFNDEF': {
+        const symbol = this.advance();
+        if (!symbol || symbol.type !== TOKEN.LABEL) {
+          throw new Error(`Expected symbol name after ${directive}`);
+        }
+        // Like DEFINED(): only symbols defined earlier in the source, so the answer is the same in every pass
+        return (this.symbolTable[symbol.value] !== undefined) === (directive === 'IFDEF');
+      }
+
+      case 'IFB':
+      case 'IFNB': {
+        const tokens = [];
+        while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+          tokens.push(this.advance());
+        }
+        // The argument may be written <arg>, as in other macro assemblers
+        const isOperator = (t, value) => t?.type === TOKEN.OPERATOR && t.value === value;
+        if (tokens.length === 1 && isOperator(tokens[0], '<>')) tokens.pop();
+        if (isOperator(tokens[0], '<') && isOperator(tokens.at(-1), '>')) tokens.splice(0, tokens.length, ...tokens.slice(1, -1));
+        return (tokens.length === 0) === (directive === 'IFB');
+      }
+    }
+  }
+
+  /**
+   * MACRO name [param[=default], ...] or name MACRO [params], then the body up to
+   * the matching ENDM. Leaves the parser on the ENDM line.
+   */
+  defineMacro() {
+    const directive = this.tokens[this.pos - 1];
+    const { header: { nameToken, params }, body, locals } =
+      this.parseBlock(directive, 'ENDM', () => this.parseMacroHeader(directive));
+    const name = nameToken.value;
+
+    if (this.macros[name]) {
+      this.warnings.push({ message: `Macro ${name} redefined`, line: nameToken.line, ...sourceOf(nameToken) });
+    }
+    this.macros[name] = { name, params, locals, body, line: nameToken.line };
+  }
+
+  /** The name and parameters on a MACRO line */
+  parseMacroHeader(directive) {
+    const before = this.tokens[this.pos - 2];
+    const nameToken = before && before.type === TOKEN.LABEL && before.line === directive.line
+      ? before
+      : this.advance();
+    if (!nameToken || nameToken.type !== TOKEN.LABEL) {
+      throw new Error(`Expected macro name after ${directive.value}`);
+    }
+    const name = nameToken.value;
+
+    const params = [];
+    while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      const param = this.advance();
+      if (param.type !== TOKEN.LABEL) {
+        throw new Error(`Invalid parameter in macro ${name}: ${param.value}`);
+      }
+      if (params.some(p => p.name === param.value)) {
+        throw new Error(`Duplicate parameter in macro ${name}: ${param.value}`);
+      }
+      let defaultValue = [];
+      if (this.check(TOKEN.OPERATOR) && this.peek().value === '=') {
+        this.advance();
+        defaultValue = this.collectExpressionTokens();
+      }
+      params.push({ name: param.value, defaultValue });
+      if (this.check(TOKEN.COMMA)) {
+        this.advance();
+      } else if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+        throw new Error(`Expected , between parameters of macro ${name}`);
+      }
+    }
+    return { nameToken, params, title: `MACRO ${name}` };
+  }
+
+  /**
+   * Parse the first line of a MACRO or repeat block with parseHeader, then
+   * collect the body up to the matching end directive (ENDM or ENDR),
+   * counting blocks nested inside, and split off its LOCAL lines. The body is
+   * skipped even when the first line has an error, and errors are reported at
+   * the first line. Leaves the parser after the end directive.
+   * @param {Object} opening - The MACRO, REPT, IRP or IRPC token
+   * @param {string} end - End directive, without the dot
+   * @param {() => Object} parseHeader - Parses the rest of the first line; may set a title for errors
+   * @returns {{header: Object, body: Array, locals: string[]}}
+   */
+  parseBlock(opening, end, parseHeader) {
+    let header;
+    let headerError = null;
+    try {
+      header = parseHeader();
+    } catch (e) {
+      headerError = e;
+    }
+    this.skipToNewline();
+
+    const start = this.pos;
+    let depth = 1;
+    while (!this.isAtEnd()) {
+      const token = this.peek();
+      const name = token.type === TOKEN.DIRECTIVE ? token.value.replace(/^\./, '') : null;
+      if (BLOCK_ENDS[name]) {
+        depth++;
+      } else if (isBlockEnd(name)) {
+        depth--;
+        if (depth === 0) break;
+      }
+      this.advance();
+    }
+    if (this.isAtEnd() || this.peek().value.replace(/^\./, '') !== end) {
+      // The rest of the source was swallowed by the body
+      headerError = new Error(`${header?.title ?? opening.value} has no matching ${end}`);
+    }
+    if (headerError) {
+      throw Object.assign(headerError, { token: opening });
+    }
+    const { body, locals } = splitLocals(this.tokens.slice(start, this.pos));
+    this.advance(); // end directive
+    return { header, body, locals };
+  }
+
+  /**
+   * Parse expanded lines in place of the current line, then return to it.
+   * EXITM stops the innermost expansion.
+   * @returns {boolean} Whether the expansion was stopped by EXITM
+   */
+  parseExpansion(tokens) {
+    const [savedTokens, savedPos] = [this.tokens, this.pos];
+    this.tokens = tokens;
+    this.pos = 0;
+    this.macroDepth++;
+    try {
+      this.parseLines();
+      return this.exitMacro;
+    } finally {
+      this.tokens = savedTokens;
+      this.pos = savedPos;
+      this.macroDepth--;
+      this.exitMacro = false;
+    }
+  }
+
+  /** Whether the line continues with the name of a defined macro */
+  isMacroInvocation() {
+    return this.check(TOKEN.LABEL) && this.macros[this.peek().value] !== undefined && !this.checkNext(TOKEN.COLON);
+  }
+
+  /**
+   * Expand a macro invocation: substitute the arguments (or defaults) for the
+   * parameters, give LOCAL labels a name unique to this expansion, and parse
+   * the result as if it were written here. Expanded tokens report the
+   * invocation's line and column, and the macro name and body line.
+   */
+  expandMacro() {
+    const nameToken = this.advance();
+    const macro = this.macros[nameToken.value];
+
+    const args = [];
+    while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      args.push(this.collectExpressionTokens());
+      if (this.check(TOKEN.COMMA)) {
+        this.advance();
+        if (this.check(TOKEN.NEWLINE) || this.isAtEnd()) args.push([]); // trailing empty argument
+      } else if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+        throw new Error(`Unexpected ${this.peek().value} in arguments to macro ${macro.name}`);
+      }
+    }
+
+    if (args.length > macro.params.length) {
+      throw new Error(`Macro ${macro.name} takes ${macro.params.length} argument${macro.params.length === 1 ? '' : 's'}, got ${args.length}`);
+    }
+    if (this.macroDepth >= MAX_MACRO_DEPTH) {
+      throw Object.assign(
+        new Error(`Macro ${macro.name} nested more than ${MAX_MACRO_DEPTH} levels deep (recursive macro?)`),
+        { token: nameToken, abortExpansion: true }
+      );
+    }
+
+    // Missing arguments without a default are blank
+    const bindings = new Map(macro.params.map((param, i) =>
+      [param.name, args[i]?.length ? args[i] : param.defaultValue]
+    ));
+    const body = macro.body.map(token => ({
+      ...token,
+      line: nameToken.line,
+      column: nameToken.column,
+      file: nameToken.file,
+      macro: macro.name,
+      macroLine: token.macroLine ?? token.line,
+      macroFile: token.macroFile ?? token.file
+    }));
+
+    this.parseExpansion(substitute(body, bindings, macro.locals, this.nextLocalSuffix()));
+    this.skipToNewline();
+  }
+
+  /**
+   * REPT count[,counter] / IRP sym,<item,...>[,counter] / IRPC sym,"chars"[,counter]
+   * and the body up to ENDR, assembled once per repetition. Each pass expands
+   * the body again, so labels in it are sized like any other line. The counter
+   * is a DEFL symbol set to 0, 1, 2, ... before each repetition.
+   */
+  parseRepeat(directive) {
+    const { header: { symbol, iterations, counter }, body, locals } =
+      this.parseBlock(directive, 'ENDR', () => this.parseRepeatHeader(directive));
+
+    for (const [i, value] of iterations.entries()) {
+      if (counter) {
+        this.defineSymbol(counter.value, i, 'DEFL');
+      }
+      const bindings = new Map(symbol ? [[symbol.value, value]] : []);
+      if (this.parseExpansion(substitute(body, bindings, locals, this.nextLocalSuffix()))) {
+        break; // EXITM
+      }
+    }
+  }
+
+  /** The repetitions (as the tokens bound to the symbol each time) and counter of a REPT, IRP or IRPC line */
+  parseRepeatHeader(directive) {
+    const name = directive.value.replace(/^\./, '');
+    let symbol = null;
+    let iterations;
+
+    if (name === 'REPT') {
+      const count = this.parseExpressionValue();
+      if (count < 0 || count > 65535) {
+        throw new Error(`REPT count out of range: ${count} (must be 0 to 65535)`);
+      }
+      iterations = Array.from({ length: count }, () => []);
+    } else {
+      symbol = this.advance();
+      if (!symbol || symbol.type !== TOKEN.LABEL) {
+        throw new Error(`Expected symbol name after ${directive.value}`);
+      }
+      this.consume(TOKEN.COMMA);
+      iterations = name === 'IRP' ? this.parseRepeatList() : this.parseRepeatChars();
+    }
+
+    let counter = null;
+    if (this.check(TOKEN.COMMA)) {
+      this.advance();
+      counter = this.advance();
+      if (!counter || counter.type !== TOKEN.LABEL) {
+        throw new Error(`Expected counter name after ${directive.value} ...,`);
+      }
+    }
+    if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      throw new Error(`Unexpected ${this.peek().value} after ${directive.value}`);
+    }
+    return { symbol, iterations, counter };
+  }
+
+  /** The <item, item, ...> list of IRP, as the tokens of each item */
+  parseRepeatList() {
+    const open = this.advance();
+    if (open?.type === TOKEN.OPERATOR && open.value === '<>') {
+      return [];
+    }
+    if (open?.type !== TOKEN.OPERATOR || open.value !== '<') {
+      throw new Error('IRP expects a list in < >');
+    }
+    const items = [];
+    for (;;) {
+      items.push(this.collectExpressionTokens().filter(token => !(token.type === TOKEN.OPERATOR && token.value === '>')));
+      const last = this.tokens[this.pos - 1];
+      if (last.type === TOKEN.OPERATOR && last.value === '>') {
+        return items;
+      }
+      if (!this.check(TOKEN.COMMA)) {
+        throw new Error('IRP list has no closing >');
+      }
+      this.advance();
+    }
+  }
+
+  /** The characters of IRPC's string, each as a one-character string */
+  parseRepeatChars() {
+    const string = this.advance();
+    if (!string || string.type !== TOKEN.STRING) {
+      throw new Error('IRPC expects a string');
+    }
+    return [...string.value].map(char => [{ ...string, value: char }]);
+  }
+
+  /** Suffix for the LOCAL labels of one expansion; numbered from 1 in every pass so names match */
+  nextLocalSuffix() {
+    return `??${String(++this.expansionCount).padStart(4, '0')}`;
+  }
+
+  /**
+   * LABEL .EQU value / LABEL .DEFL value - the label is before the directive.
+   * The value may refer to labels defined later in the source.
+   */
+  parseConstant(type) {
+    const labelToken = this.tokens[this.pos - 2]; // -2 because we already advanced past directive
+    const value = this.parseDefinitionValue();
+    if (labelToken && labelToken.type === TOKEN.LABEL) {
+      this.defineConstant(labelToken.value, value, type, labelToken);
+    }
+  }
+
+  /**
+   * Value of an expression defining a constant, and whether it rests on the 0
+   * an undefined symbol counts as while sizing, directly or through a constant
+   * defined that way
+   */
+  parseDefinitionValue() {
+    this.unresolvedValue = false;
+    const value = this.parseExpressionValue();
+    return { value, unresolved: this.unresolvedValue };
+  }
+
+  /**
+   * Define a constant from parseDefinitionValue. While sizing, an unresolved
+   * value is marked so the constants defined from it are too; in pass 2, once
+   * the passes have settled, it can only come from a circular definition
+   * (X .EQU Y / Y .EQU X, FOO .EQU FOO) and is an error.
+   */
+  defineConstant(name, { value, unresolved }, type, token) {
+    if (unresolved && this.pass === 2) {
+      throw Object.assign(new Error(`Circular or unresolved definition: ${name}`), { token });
+    }
+    this.defineSymbol(name, value, type);
+    if (unresolved) {
+      this.symbolTable[name].unresolved = true;
+    }
+  }
+
+  /**
+   * STRUCT name / name STRUCT, then field lines up to ENDS (optionally name ENDS).
+   * Each field (.DB, .DW or .DS, with an optional name) is defined as
+   * name.field, its offset in the record, and name.SIZE (also name itself) as the
+   * size of the record. Field values are the defaults of each instance.
+   */
+  defineStruct(directive) {
+    const { header: struct, body } = this.parseBlock(directive, 'ENDS', () => this.parseStructHeader(directive));
+    const end = this.tokens[this.pos - 1];
+    const endLabel = body.at(-1)?.type === TOKEN.LABEL && body.at(-1).line === end.line ? body.pop() : null;
+
+    this.parseBody(body, () => this.parseField(struct));
+    this.symbolTable[struct.name].address = struct.size;
+    this.defineSymbol(`${struct.name}.SIZE`, struct.size, 'EQU');
+    this.symbolTable[`${struct.name}.SIZE`].parent = struct.name;
+    this.structs[struct.name] = struct;
+    if (endLabel && endLabel.value !== struct.short) {
+      throw Object.assign(new Error(`${endLabel.value} ${end.value} does not match STRUCT ${struct.short}`), { token: endLabel });
+    }
+  }
+
+  /** The name on a STRUCT line, defined as a symbol here so a clash is reported at this line */
+  parseStructHeader(directive) {
+    let name = this.labelBefore(directive);
+    if (!name) {
+      if (!this.check(TOKEN.LABEL)) { // leaves the end of the line for parseBlock
+        throw new Error(`Expected structure name before or after ${directive.value}`);
+      }
+      name = this.scopedDefinition(this.advance().value);
+    }
+    this.defineSymbol(name, 0, 'STRUCT');
+    const prefix = this.scopePrefix();
+    const short = name.startsWith(prefix) ? name.slice(prefix.length) : name;
+    return { name, short, size: 0, defaults: [], fields: [], title: `STRUCT ${short}` };
+  }
+
+  /** One field line of a STRUCT: [name[:]] .DB/.DW values or .DS count */
+  parseField(struct) {
+    let nameToken = null;
+    if (this.check(TOKEN.LABEL)) {
+      nameToken = this.advance();
+      if (this.check(TOKEN.COLON)) this.advance();
+    }
+    const directive = this.advance();
+    const width = directive?.type === TOKEN.DIRECTIVE ? FIELD_WIDTHS[directive.value] : undefined;
+    if (!width) {
+      throw Object.assign(new Error(`Expected .DB, .DW or .DS field in STRUCT ${struct.short}`), { token: directive ?? nameToken });
+    }
+    this.qualifyReferences();
+
+    const bytes = /^(\.?DS|DEFS)$/.test(directive.value) ? this.parseFill(directive) : this.parseDataItems(width);
+
+    if (nameToken) {
+      const field = nameToken.value.replace(/^\./, '');
+      const full = `${struct.name}.${field}`;
+      this.defineSymbol(full, struct.size, 'EQU');
+      this.symbolTable[full].parent = struct.name;
+      struct.fields.push({ name: field, offset: struct.size, size: bytes.length, width });
+    }
+    struct.defaults.push(...bytes);
+    struct.size += bytes.length;
+    this.skipToNewline();
+  }
+
+  /**
+   * ENUM [start[,step]], then one name per line up to ENDE. The names are
+   * constants numbered start, start + step, ... (0, 1, ... by default);
+   * name = value sets one and numbers the rest on from it. They are ENUM
+   * symbols, grouped by block in the symbol table listing.
+   */
+  defineEnum(directive) {
+    const { header: block, body } = this.parseBlock(directive, 'ENDE', () => this.parseEnumHeader(directive));
+    this.parseBody(body, () => this.parseEnumMember(block));
+  }
+
+  /** The start value and step on an ENUM line */
+  parseEnumHeader(directive) {
+    let [value, step] = [0, 1];
+    this.unresolvedValue = false;
+    if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      value = this.parseExpressionValue();
+      if (this.check(TOKEN.COMMA)) {
+        this.advance();
+        step = this.parseExpressionValue();
+      }
+    }
+    if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      throw new Error(`Unexpected ${this.peek().value} after ${directive.value}`);
+    }
+    return { value, step, unresolved: this.unresolvedValue, group: ++this.enumCount };
+  }
+
+  /** One line of an ENUM: name, or name = value */
+  parseEnumMember(block) {
+    const nameToken = this.advance();
+    if (nameToken.type !== TOKEN.LABEL) {
+      throw new Error(`Expected name or name = value in ENUM, got ${nameToken.value}`);
+    }
+    if (this.check(TOKEN.OPERATOR) && this.peek().value === '=') {
+      this.advance();
+      this.qualifyReferences();
+      ({ value: block.value, unresolved: block.unresolved } = this.parseDefinitionValue());
+    }
+    if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      throw new Error(`Unexpected ${this.peek().value} after ${nameToken.value} in ENUM`);
+    }
+    const name = this.scopedDefinition(nameToken.value);
+    this.defineConstant(name, block, 'ENUM', nameToken);
+    this.symbolTable[name].enum = block.group;
+    block.value += block.step;
+    this.skipToNewline();
+  }
+
+  /**
+   * Parse the lines of a STRUCT or ENUM body with parseLine, then return to the
+   * line after the block. Conditional assembly still applies to them.
+   */
+  parseBody(tokens, parseLine) {
+    const [savedTokens, savedPos] = [this.tokens, this.pos];
+    this.tokens = tokens;
+    this.pos = 0;
+    this.bodyLine = parseLine;
+    try {
+      this.parseLines();
+    } finally {
+      this.tokens = savedTokens;
+      this.pos = savedPos;
+      this.bodyLine = null;
+    }
+  }
+
+  /** Whether the line continues with the name of a defined STRUCT */
+  isStructInstance() {
+    return this.check(TOKEN.LABEL) && this.structs[this.peek().value] !== undefined && !this.checkNext(TOKEN.COLON);
+  }
+
+  /**
+   * An instance of a STRUCT: its default bytes, with the fields given values
+   * on the line in order, skipping blank ones (PLAYER "ANN",,5). field = value
+   * sets a field by name, and the values after it go on from there. A value
+   * shorter than its field keeps the rest of the field's default bytes.
+   * Emitted as one data block; it counts towards SIZEOF like .DB.
+   */
+  parseStructInstance() {
+    const nameToken = this.advance();
+    const struct = this.structs[nameToken.value];
+    const label = this.labelBefore(nameToken);
+    if (this.pass === 2) {
+      const bytes = this.parseStructValues(struct);
+      this.emit({ type: 'DATA', bytes, address: this.currentAddress, label });
+    }
+    this.currentAddress += struct.size;
+    if (this.dataLabel) {
+      const symbol = this.symbolTable[this.dataLabel];
+      symbol.size = (symbol.size || 0) + struct.size;
+    }
+    this.skipToNewline();
+  }
+
+  /** Bytes of a STRUCT instance from the values on the line */
+  parseStructValues(struct) {
+    const bytes = [...struct.defaults];
+    let index = 0;
+    while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      const next = this.tokens[this.pos + 1];
+      if (this.check(TOKEN.LABEL) && next?.type === TOKEN.OPERATOR && next.value === '=') {
+        const named = struct.fields.findIndex(field => field.name === this.peek().value);
+        if (named >= 0) {
+          const nameToken = this.peek();
+          index = named;
+          this.pos += 2;
+          if (this.check(TOKEN.COMMA) || this.check(TOKEN.NEWLINE) || this.isAtEnd()) {
+            throw Object.assign(
+              new Error(`Missing value for ${struct.short}.${struct.fields[named].name} after =`),
+              { token: nameToken }
+            );
+          }
+        }
+      }
+
+      const field = struct.fields[index++];
+      if (!field) {
+        throw new Error(`Too many values for STRUCT ${struct.short} (${struct.fields.length} fields)`);
+      }
+      if (!this.check(TOKEN.COMMA) && !this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+        const token = this.peek();
+        const value = field.width === 1 && this.isStringItem() ? this.encodeString(this.advance()) : this.parseDataValue(field.width);
+        if (value.length > field.size) {
+          throw Object.assign(
+            new Error(`Value for ${struct.short}.${field.name} is ${value.length} bytes; the field has ${field.size}`),
+            { token }
+          );
+        }
+        const end = field.offset + field.size;
+        bytes.splice(field.offset, field.size, ...value, ...struct.defaults.slice(field.offset + value.length, end));
+      }
+
+      if (this.check(TOKEN.COMMA)) {
+        this.advance();
+      } else if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+        throw new Error(`Unexpected ${this.peek().value} in values for STRUCT ${struct.short}`);
+      }
+    }
+    return bytes;
+  }
+
   parseDirectivePass2() {
     const directive = this.advance();
 
@@ -247,21 +1450,18 @@ export class Parser {
 
       case '.EQU':
       case 'EQU':
+        this.parseConstant('EQU');
+        break;
+
       case '.DEFL':
       case 'DEFL':
-        // Skip - already defined in pass 1
-        if (this.check(TOKEN.LABEL)) {
-          this.advance();
-        }
-        if (this.check(TOKEN.COMMA)) {
-          this.advance(); // consume comma if present
-        }
-        this.parseExpressionValue();
+        this.parseConstant('DEFL');
         break;
 
       case '.DB':
       case 'DB':
       case 'DEFB':
+      case 'DEFM':
         // Check if there's a label before this directive
         if (this.pos > 0) {
           const prevToken = this.tokens[this.pos - 1];
@@ -273,6 +1473,19 @@ export class Parser {
         this.parseDBPass2();
         break;
 
+      case '.ASCII':
+      case 'ASCII':
+      case '.ASCIZ':
+      case 'ASCIZ':
+      case '.ASCIIT':
+      case 'ASCIIT':
+      case '.DC':
+      case 'DC':
+      case '.PSTR':
+      case 'PSTR':
+        this.parseStringPass2(directive);
+        break;
+
       case '.DW':
       case 'DW':
       case 'DEFW':
@@ -289,15 +1502,122 @@ export class Parser {
       case '.DS':
       case 'DS':
       case 'DEFS':
-        const count = this.parseExpressionValue();
-        // Reserve space (fill with zeros)
-        for (let i = 0; i < count; i++) {
-          this.instructions.push({
-            type: 'DATA',
-            bytes: [0],
-            address: this.currentAddress++
-          });
+      case '.FILL':
+      case 'FILL':
+      case '.ALIGN':
+      case 'ALIGN': {
+        // One block however many bytes
+        const label = this.labelBefore(directive);
+        const bytes = this.parseFill(directive);
+        if (bytes.length > 0) {
+          this.emit({ type: 'DATA', bytes, address: this.currentAddress, label });
+          this.currentAddress += bytes.length;
+        }
+        break;
+      }
+
+      case '.INCBIN':
+      case 'INCBIN': {
+        // One block for the whole file
+        const label = this.labelBefore(directive);
+        const bytes = Array.from(this.readBinaryFile(directive));
+        this.emit({ type: 'DATA', bytes, address: this.currentAddress, label });
+        this.currentAddress += bytes.length;
+        break;
+      }
+
+      case '.MACRO':
+      case 'MACRO':
+        this.defineMacro();
+        break;
+
+      case '.STRUCT':
+      case 'STRUCT':
+        this.defineStruct(directive);
+        break;
+
+      case '.ENDS':
+      case 'ENDS':
+        throw new Error('ENDS without STRUCT');
+
+      case '.ENUM':
+      case 'ENUM':
+        this.defineEnum(directive);
+        break;
+
+      case '.ENDE':
+      case 'ENDE':
+        throw new Error('ENDE without ENUM');
+
+      case '.INCLUDE':
+      case 'INCLUDE':
+        this.includeFile(directive);
+        break;
+
+      case '.CHARMAP':
+      case 'CHARMAP':
+        this.parseCharmap(directive);
+        break;
+
+      case '.PHASE':
+      case 'PHASE':
+      case '.DEPHASE':
+      case 'DEPHASE':
+        this.parsePhase(directive);
+        break;
+
+      case '.MODULE':
+      case 'MODULE':
+      case '.ENDMODULE':
+      case 'ENDMODULE':
+      case '.PROC':
+      case 'PROC':
+      case '.ENDP':
+      case 'ENDP':
+      case '.PUBLIC':
+      case 'PUBLIC':
+        this.parseScope(directive);
+        break;
+
+      case '.REPT':
+      case 'REPT':
+      case '.IRP':
+      case 'IRP':
+      case '.IRPC':
+      case 'IRPC':
+        this.parseRepeat(directive);
+        break;
+
+      case '.EXITM':
+      case 'EXITM':
+        if (this.macroDepth === 0) {
+          throw new Error('EXITM outside a macro or repeat block');
         }
+        this.exitMacro = true;
+        break;
+
+      case '.ENDM':
+      case 'ENDM':
+        throw new Error('ENDM without MACRO');
+
+      case '.ENDR':
+      case 'ENDR':
+        throw new Error('ENDR without REPT, IRP or IRPC');
+
+      case '.LOCAL':
+      case 'LOCAL':
+        throw new Error('LOCAL is only allowed in a macro or repeat body');
+
+      case '.UNDOC':
+      case 'UNDOC':
+        this.undocumented = this.parseUndocMode();
+        break;
+
+      case '.ASSERT':
+      case 'ASSERT':
+      case '.ERROR':
+      case '.WARNING':
+        this.parseDiagnostic(directive);
         break;
 
       case '.END':
@@ -311,20 +1631,111 @@ export class Parser {
     this.skipToNewline();
   }
 
+  /**
+   * The bytes of DS count[,fill], .FILL count,value[,width] (count values of
+   * 1 or 2 bytes) or ALIGN boundary[,fill] (up to the next multiple of the
+   * boundary, a power of two). The fill is 0 unless given.
+   */
+  parseFill(directive) {
+    const name = directive.value.replace(/^\./, '');
+    let count;
+    if (name === 'ALIGN') {
+      const boundary = this.parseExpressionValue();
+      if (boundary < 1 || boundary > 0x8000 || (boundary & (boundary - 1)) !== 0) {
+        throw new Error(`${directive.value} boundary must be a power of two from 1 to 32768, got ${boundary}`);
+      }
+      count = (boundary - this.currentAddress % boundary) % boundary;
+    } else {
+      const token = this.peek();
+      count = this.parseExpressionValue();
+      if (count < 0 || count > 65535) {
+        throw Object.assign(new Error(`${directive.value} count out of range: ${count} (must be 0 to 65535)`), { token });
+      }
+    }
+
+    let value = [0];
+    if (name === 'FILL' && !this.check(TOKEN.COMMA)) {
+      throw new Error(`${directive.value} expects count,value`);
+    }
+    if (this.check(TOKEN.COMMA)) {
+      this.advance();
+      const valueToken = this.peek();
+      const fill = this.parseExpressionValue();
+      let width = 1;
+      if (name === 'FILL' && this.check(TOKEN.COMMA)) {
+        this.advance();
+        width = this.parseExpressionValue();
+        if (width !== 1 && width !== 2) {
+          throw new Error(`${directive.value} width must be 1 or 2, got ${width}`);
+        }
+      }
+      value = this.dataBytes(fill, width, valueToken);
+    }
+    if (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      throw new Error(`Unexpected ${this.peek().value} after ${directive.value}`);
+    }
+    return Array.from({ length: count * value.length }, (_, i) => value[i % value.length]);
+  }
+
+  /**
+   * .UNDOC ON | WARN | OFF - allow, warn about or reject undocumented instructions
+   */
+  parseUndocMode() {
+    const arg = this.peek();
+    const mode = arg && arg.type === TOKEN.LABEL ? UNDOC_MODES[arg.value] : undefined;
+    if (!mode) {
+      throw new Error('Expected ON, WARN or OFF after .UNDOC');
+    }
+    this.advance();
+    return mode;
+  }
+
+  /**
+   * ASSERT expr[,"message"] is an error unless expr is true (non-zero) with the
+   * final symbol values; .ERROR "text" and .WARNING "text" report their text,
+   * usually from inside an IF block. All are reported at the directive.
+   */
+  parseDiagnostic(directive) {
+    const name = directive.value.replace(/^\./, '');
+    let message;
+    if (name === 'ASSERT') {
+      const start = this.pos;
+      const value = this.parseExpressionValue();
+      const condition = expressionText(this.tokens.slice(start, this.pos));
+      if (this.check(TOKEN.COMMA)) {
+        this.advance();
+        message = this.parseMessage(directive);
+      }
+      if (value !== 0) return;
+      message = `Assertion failed: ${message ?? condition}`;
+    } else {
+      message = this.parseMessage(directive);
+    }
+    const diagnostic = { message, line: directive.line, column: directive.column, ...sourceOf(directive) };
+    (name === 'WARNING' ? this.warnings : this.errors).push(diagnostic);
+  }
+
+  /** The message string of ASSERT, .ERROR or .WARNING */
+  parseMessage(directive) {
+    if (!this.check(TOKEN.STRING)) {
+      throw new Error(`${directive.value} expects a message string`);
+    }
+    return this.advance().value;
+  }
+
   parseDBPass1() {
     // Count bytes
     let count = 0;
     const startPos = this.pos;
     
     while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
-      if (this.check(TOKEN.STRING)) {
+      if (this.isStringItem()) {
         const str = this.advance();
-        count += str.value.length;
-      } else if (this.check(TOKEN.NUMBER)) {
-        this.advance();
-        count++;
+        count += [...str.value].length;
       } else if (this.check(TOKEN.COMMA)) {
         this.advance();
+      } else if (this.collectExpressionTokens().length > 0) {
+        count++; // one byte per expression, however many tokens it spans
       } else {
         break;
       }
@@ -380,21 +1791,25 @@ export class Parser {
     // Generate the data at current address
     let firstData = true;
     while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
-      if (this.check(TOKEN.STRING)) {
-        const str = this.advance();
-        for (let i = 0; i < str.value.length; i++) {
-          this.instructions.push({
+      if (this.isStringItem()) {
+        const bytes = this.encodeString(this.advance());
+        for (let i = 0; i < bytes.length; i++) {
+          this.emit({
             type: 'DATA',
-            bytes: [str.value.charCodeAt(i) & 0xFF],
+            bytes: [bytes[i]],
             address: this.currentAddress,
             label: (firstData && i === 0) ? labelName : null
           });
           this.currentAddress++;
           firstData = false;
         }
-      } else if (this.check(TOKEN.NUMBER) || this.check(TOKEN.LABEL)) {
-        const num = this.parseExpressionValue();
-        this.instructions.push({
+      } else if (!this.check(TOKEN.COMMA)) {
+        if (this.check(TOKEN.RPAREN)) {
+          break;
+        }
+        const token = this.peek();
+        const num = this.checkDataRange(this.parseExpressionValue(), -128, 255, token);
+        this.emit({
           type: 'DATA',
           bytes: [num & 0xFF],
           address: this.currentAddress,
@@ -402,12 +1817,151 @@ export class Parser {
         });
         this.currentAddress++;
         firstData = false;
+      } else {
+        this.advance(); // comma
+      }
+    }
+  }
+
+  /**
+   * .ASCII, .ASCIZ, .ASCIIT/DC and .PSTR: strings and byte values like .DB,
+   * emitted as one block once the directive has added its terminator or length
+   */
+  parseStringPass2(directive) {
+    const label = this.labelBefore(directive);
+    const bytes = this.parseDataItems(1);
+    const format = directive.value.replace(/^\./, '');
+    if (format === 'PSTR' && bytes.length > 255) {
+      throw new Error(`${directive.value} string too long: ${bytes.length} bytes (at most 255)`);
+    }
+    const data = STRING_FORMATS[format](bytes);
+    this.emit({ type: 'DATA', bytes: data, address: this.currentAddress, label });
+    this.currentAddress += data.length;
+  }
+
+  /**
+   * Bytes of the values on a data line: .DB-style bytes and strings (width 1)
+   * or .DW-style little-endian words (width 2)
+   */
+  parseDataItems(width) {
+    const bytes = [];
+    while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
+      if (width === 1 && this.isStringItem()) {
+        bytes.push(...this.encodeString(this.advance()));
       } else if (this.check(TOKEN.COMMA)) {
         this.advance();
       } else {
-        break;
+        bytes.push(...this.parseDataValue(width));
+      }
+    }
+    return bytes;
+  }
+
+  /** Bytes of one data value: a byte (width 1) or a little-endian word (width 2) */
+  parseDataValue(width) {
+    const token = this.peek();
+    return this.dataBytes(this.parseExpressionValue(), width, token);
+  }
+
+  /** A value as a byte (width 1) or a little-endian word (width 2), range-checked at its token */
+  dataBytes(value, width, token) {
+    if (width === 1) {
+      return [this.checkDataRange(value, -128, 255, token) & 0xFF];
+    }
+    const word = this.checkDataRange(value, -32768, 65535, token);
+    return [word & 0xFF, (word >> 8) & 0xFF];
+  }
+
+  /**
+   * .PHASE address assembles the lines up to .DEPHASE to run at address:
+   * labels and $ take run addresses, while the bytes still follow on from
+   * the code before (the load address). .DEPHASE goes back to load addresses.
+   */
+  parsePhase(directive) {
+    if (directive.value.replace(/^\./, '') === 'DEPHASE') {
+      if (!this.phase) {
+        throw new Error(`${directive.value} without .PHASE`);
+      }
+      this.currentAddress += this.phase.offset;
+      this.phase = null;
+      return;
+    }
+    if (this.phase) {
+      throw new Error(`${directive.value} inside .PHASE (missing .DEPHASE)`);
+    }
+    const address = this.parseExpressionValue();
+    this.phase = { token: directive, offset: this.currentAddress - address };
+    this.currentAddress = address;
+  }
+
+  /** Add an entry to the IR, with the address its bytes load at as well as the one they run at */
+  emit(entry) {
+    this.instructions.push({ ...entry, loadAddress: entry.address + (this.phase?.offset ?? 0) });
+  }
+
+  /**
+   * .CHARMAP name selects a built-in character map (ASCII, MODEL3, MODEL1);
+   * .CHARMAP "chars", code maps the characters to code, code + 1, ... in the current one
+   */
+  parseCharmap(directive) {
+    if (this.check(TOKEN.LABEL) || this.check(TOKEN.DIRECTIVE)) { // ASCII is also a directive
+      const name = this.advance();
+      if (!Object.hasOwn(CHARMAPS, name.value)) {
+        throw new Error(`Unknown charmap: ${name.value} (expected ${Object.keys(CHARMAPS).join(', ')})`);
       }
+      this.charmap = { name: name.value, codes: CHARMAPS[name.value] };
+      return;
+    }
+    if (!this.check(TOKEN.STRING)) {
+      throw new Error(`${directive.value} expects a charmap name or "characters", code`);
+    }
+    const chars = [...this.advance().value];
+    this.consume(TOKEN.COMMA);
+    const token = this.peek();
+    const code = this.checkDataRange(this.parseExpressionValue(), 0, 256 - chars.length, token);
+    const codes = new Map(this.charmap.codes); // the built-in maps stay as they are
+    chars.forEach((char, i) => codes.set(char, (code + i) & 0xFF));
+    this.charmap = { name: this.charmap.name, codes };
+  }
+
+  /** Bytes of a string token in the current character map */
+  encodeString(token) {
+    return Array.from(token.value, char => this.encodeChar(char, token));
+  }
+
+  /** Byte of one character in the current character map; unmapped characters are errors */
+  encodeChar(char, token) {
+    const code = mapCharacter(this.charmap.codes, char);
+    if (code === undefined) {
+      throw Object.assign(new Error(`Character "${char}" is not in charmap ${this.charmap.name}`), { token });
+    }
+    return code;
+  }
+
+  /**
+   * Whether the next data item is a string on its own, rather than a character
+   * constant in an expression ('A'+1)
+   */
+  isStringItem() {
+    const next = this.tokens[this.pos + 1];
+    return this.check(TOKEN.STRING) && (!next || [TOKEN.COMMA, TOKEN.NEWLINE, TOKEN.EOF].includes(next.type));
+  }
+
+  /**
+   * Report a data value too wide for its field (error, or warning with the
+   * rangeCheck: 'warn' option). The caller truncates it either way.
+   */
+  checkDataRange(value, min, max, token) {
+    if (value < min || value > max) {
+      const diagnostic = {
+        message: `Value out of range: ${value} (must be ${min} to ${max})`,
+        line: token.line,
+        column: token.column,
+        ...sourceOf(token)
+      };
+      (this.options.rangeCheck === 'warn' ? this.warnings : this.errors).push(diagnostic);
     }
+    return value;
   }
 
   parseDWPass1() {
@@ -416,11 +1970,10 @@ export class Parser {
     const startPos = this.pos;
     
     while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
-      if (this.check(TOKEN.NUMBER) || this.check(TOKEN.LABEL)) {
+      if (this.check(TOKEN.COMMA)) {
         this.advance();
+      } else if (this.collectExpressionTokens().length > 0) {
         count++;
-      } else if (this.check(TOKEN.COMMA)) {
-        this.advance();
       } else {
         break;
       }
@@ -432,27 +1985,28 @@ export class Parser {
 
   parseDWPass2() {
     while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
-      if (this.check(TOKEN.NUMBER) || this.check(TOKEN.LABEL)) {
-        const value = this.parseExpressionValue();
+      if (this.check(TOKEN.RPAREN)) {
+        break;
+      } else if (!this.check(TOKEN.COMMA)) {
+        const token = this.peek();
+        const value = this.checkDataRange(this.parseExpressionValue(), -32768, 65535, token);
         const lo = value & 0xFF;
         const hi = (value >> 8) & 0xFF;
-        this.instructions.push({
+        this.emit({
           type: 'DATA',
           bytes: [lo, hi],
           address: this.currentAddress
         });
         this.currentAddress += 2;
-      } else if (this.check(TOKEN.COMMA)) {
-        this.advance();
       } else {
-        break;
+        this.advance(); // comma
       }
     }
   }
 
   parseInstruction() {
     const mnemonic = this.advance();
-    const operands = this.parseOperands();
+    const operands = this.parseOperands(mnemonic.value);
     
     // Check if there was a label before this instruction (with colon)
     let labelName = null;
@@ -464,219 +2018,190 @@ export class Parser {
       }
     }
 
-    this.instructions.push({
+    this.emit({
       type: 'INSTRUCTION',
       mnemonic: mnemonic.value,
       operands: operands,
       address: this.currentAddress,
       bytes: [], // Will be filled by code generator
-      label: labelName // Store label name if present
+      label: labelName, // Store label name if present
+      line: mnemonic.line,
+      column: mnemonic.column,
+      undocumented: this.undocumented, // .UNDOC mode in effect for this line
+      ...sourceOf(mnemonic) // macro and body line, for diagnostics
     });
 
-    // Estimate size for address tracking in pass 2
-    // For size estimation, we can resolve operands (using pass 1 addresses is OK for estimation)
-    const size = this.estimateInstructionSize(mnemonic.value, operands);
-    this.currentAddress += size;
+    // Size from the opcode table, the same entry the code generator encodes with
+    this.currentAddress += this.instructionSize(mnemonic.value, operands);
   }
-  
-  estimateInstructionSize(mnemonic, operands) {
-    // Quick size estimation based on mnemonic and operands
-    if (['NOP', 'HALT', 'DI', 'EI', 'SCF', 'CCF', 'CPL', 'DAA', 'RLCA', 'RRCA', 'RLA', 'RRA', 'RET', 'EXX'].includes(mnemonic)) {
-      return 1;
-    }
-    if (['LDIR', 'LDDR', 'LDI', 'LDD', 'RETI', 'RETN', 'NEG'].includes(mnemonic)) {
-      return 2;
-    }
-    if (['JP', 'CALL'].includes(mnemonic)) {
-      return 3;
-    }
-    if (['JR', 'DJNZ'].includes(mnemonic)) {
-      return 2;
-    }
-    if (mnemonic === 'LD' && operands.length === 2) {
-      // Check operand types
-      const [op1, op2] = operands;
-      if (typeof op1 === 'number' && op1 > 255) return 3;
-      if (typeof op2 === 'number' && op2 > 255) return 3;
-      if (typeof op2 === 'number' && op2 <= 255 && typeof op1 === 'string' && REG8[op1] !== undefined) return 2;
-      if (op1 === '(HL)' || op2 === '(HL)') return 1;
-      if (typeof op1 === 'string' && REG8[op1] && typeof op2 === 'string' && REG8[op2]) return 1;
-      return 2; // Default estimate
-    }
-    if (['ADD', 'ADC', 'SUB', 'SBC', 'AND', 'OR', 'XOR', 'CP'].includes(mnemonic)) {
-      if (operands.length === 1 && typeof operands[0] === 'number') return 2;
-      return 1;
-    }
-    if (mnemonic === 'ADD' && operands.length === 2 && operands[0] === 'HL') {
-      return 1;
-    }
-    if (['INC', 'DEC', 'PUSH', 'POP'].includes(mnemonic)) {
-      return 1;
-    }
-    if (['BIT', 'SET', 'RES', 'RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'].includes(mnemonic)) {
-      return 2;
-    }
-    if (['IN', 'OUT'].includes(mnemonic)) {
-      return 2;
+
+  /**
+   * Instruction size from the opcode table. Invalid instructions count as
+   * 0 bytes here - the code generator reports them.
+   */
+  instructionSize(mnemonic, operands) {
+    try {
+      return instructionSize(mnemonic, operands);
+    } catch (e) {
+      return 0;
     }
-    return 1; // Default
   }
-
-  parseOperands() {
+  
+  parseOperands(mnemonic) {
     const operands = [];
 
     if (this.check(TOKEN.NEWLINE) || this.isAtEnd()) {
       return operands;
     }
 
-    // Parse first operand
-    operands.push(this.parseOperand());
+    // Parse first operand - F is only a register name in IN F,(C),
+    // and condition codes only appear first in JP/JR/CALL cc,nn and RET cc.
+    // Each operand records its column for diagnostics.
+    const column = this.peek().column;
+    if (mnemonic === 'IN' && this.check(TOKEN.LABEL) && this.peek().value === 'F' && this.checkNext(TOKEN.COMMA)) {
+      this.advance();
+      operands.push({ type: OPERAND.REGISTER, name: 'F', column });
+    } else if (this.isConditionOperand(mnemonic)) {
+      operands.push({ type: OPERAND.CONDITION, name: this.advance().value, column });
+    } else {
+      operands.push({ ...this.parseOperand(), column });
+    }
 
     // Parse additional operands separated by commas
     while (this.check(TOKEN.COMMA)) {
       this.advance(); // consume comma
-      operands.push(this.parseOperand());
+      const column = this.peek()?.column;
+      operands.push({ ...this.parseOperand(), column });
     }
 
     return operands;
   }
 
+  /**
+   * Whether the next token is the condition of JP cc / JR cc / CALL cc / RET cc.
+   * Elsewhere C is the register and NZ, Z, P, M... are ordinary labels.
+   */
+  isConditionOperand(mnemonic) {
+    const token = this.peek();
+    if (!token || (token.type !== TOKEN.LABEL && token.type !== TOKEN.REGISTER) || CONDITIONS[token.value] === undefined) {
+      return false;
+    }
+    if (mnemonic === 'RET') {
+      return true;
+    }
+    return ['JP', 'JR', 'CALL'].includes(mnemonic) && this.checkNext(TOKEN.COMMA);
+  }
+
+  /**
+   * Parse one operand into a typed operand object (see OPERAND in constants.js).
+   * The addressing mode is decided by syntax: (expr) is a memory operand,
+   * a bare expression is an immediate.
+   */
   parseOperand() {
-    // Handle (HL), (BC), (DE), (nn) patterns first
+    // Handle (HL), (BC), (DE), (IX+d), (nn) patterns first
     if (this.check(TOKEN.LPAREN)) {
+      // An expression that merely starts with a parenthesis, like (2+3)*4, is an immediate
+      if (!this.isParenthesizedOperand()) {
+        return { type: OPERAND.IMMEDIATE, value: this.parseOperandValue() };
+      }
+
       this.advance(); // consume (
       
       // Check for register in parentheses
       if (this.check(TOKEN.REGISTER)) {
         const reg = this.advance();
-        this.consume(TOKEN.RPAREN);
-        
-        if (reg.value === 'HL') return '(HL)';
-        if (reg.value === 'BC') return '(BC)';
-        if (reg.value === 'DE') return '(DE)';
-        throw new Error(`Invalid register in parentheses: ${reg.value}`);
-      }
-      
-      // In pass 2, check if it's just a label in parentheses FIRST (before expression parsing)
-      if (this.pass === 2) {
-        const savedPos = this.pos;
-        // Skip whitespace/newlines to find next meaningful token
-        let checkPos = this.pos;
-        while (checkPos < this.tokens.length) {
-          const tok = this.tokens[checkPos];
-          if (tok.type === TOKEN.NEWLINE || tok.type === TOKEN.COMMENT) {
-            checkPos++;
-            continue;
-          }
-          // Found a meaningful token
-          if (tok.type === TOKEN.LABEL) {
-            // Check if next meaningful token after label is RPAREN (not operator)
-            let nextCheck = checkPos + 1;
-            while (nextCheck < this.tokens.length) {
-              const nextTok = this.tokens[nextCheck];
-              if (nextTok.type === TOKEN.NEWLINE || nextTok.type === TOKEN.COMMENT) {
-                nextCheck++;
-                continue;
-              }
-              if (nextTok.type === TOKEN.RPAREN) {
-                // It's (label) - store as label reference for deferred resolution
-                const label = this.tokens[checkPos];
-                this.pos = nextCheck + 1; // Advance past RPAREN
-                return { type: 'LABEL_REF', name: label.value };
-              }
-              // Next token is not RPAREN - it's an expression
-              break;
+
+        // (IX+d) / (IY-d) / (IX) - indexed addressing with signed displacement
+        if (reg.value === 'IX' || reg.value === 'IY') {
+          let displacement = 0;
+          const written = !this.check(TOKEN.RPAREN); // JP (IX) takes none, not even +0
+          if (written) {
+            if (!this.check(TOKEN.OPERATOR) || (this.peek().value !== '+' && this.peek().value !== '-')) {
+              throw new Error(`Expected + or - after ${reg.value}, got ${this.peek()?.type}`);
             }
+            // The leading sign is part of the displacement expression
+            displacement = this.parseExpressionValue();
           }
-          // Not a label or it's part of an expression
-          break;
+          this.consume(TOKEN.RPAREN);
+          return { type: OPERAND.INDEXED, register: reg.value, displacement, written };
         }
-        this.pos = savedPos;
-      }
-      
-      // For expressions or pass 1, parse normally
-      // Check if it's an expression starting with $, number, or label
-      const nextType = this.peek()?.type;
-      if (nextType === TOKEN.OPERATOR || nextType === TOKEN.NUMBER || nextType === TOKEN.LABEL) {
-        // It's an expression, parse it
-        const addr = this.parseExpressionValue();
+
         this.consume(TOKEN.RPAREN);
-        return addr; // Return as number for (nn) addressing
+        
+        if (['HL', 'BC', 'DE', 'SP', 'C'].includes(reg.value)) {
+          return { type: OPERAND.INDIRECT, register: reg.value };
+        }
+        throw new Error(`Invalid register in parentheses: ${reg.value}`);
       }
-      
-      // Fallback: parse as expression
-      const addr = this.parseExpressionValue();
-      this.consume(TOKEN.RPAREN);
-      return addr; // Return as number for (nn) addressing
-    }
 
-    // Check if this is an expression (starts with $, number, or label followed by operator)
-    const nextType = this.tokens[this.pos + 1]?.type;
-    if (this.check(TOKEN.OPERATOR) && this.peek().value === '$') {
-      // Expression starting with $ (current address)
-      return this.parseExpressionValue();
-    }
-    
-    if (this.check(TOKEN.NUMBER)) {
-      // Check if followed by operator - if so, it's an expression
-      if (nextType === TOKEN.OPERATOR) {
-        return this.parseExpressionValue();
-      }
-      return this.parseExpressionValue();
+      // (nn) - memory address
+      const address = this.parseOperandValue();
+      this.consume(TOKEN.RPAREN);
+      return { type: OPERAND.MEMORY, address };
     }
 
     if (this.check(TOKEN.REGISTER)) {
       const reg = this.advance();
-      return reg.value;
+      return { type: OPERAND.REGISTER, name: reg.value };
     }
 
-    if (this.check(TOKEN.LABEL)) {
-      const labelToken = this.peek();
-      
-      // Check if it's a condition code (used in JP cc, JR cc, CALL cc, RET cc)
-      if (CONDITIONS[labelToken.value] !== undefined) {
-        const cond = this.advance();
-        return cond.value; // Return condition code as string
-      }
-      
-      // Check if this is part of an expression (next token is operator)
-      if (nextType === TOKEN.OPERATOR || nextType === TOKEN.LPAREN) {
-        // It's an expression, parse it
-        return this.parseExpressionValue();
-      }
-      
-      // Single label reference
-      const label = this.advance();
-      
-      // In pass 2, don't resolve labels during parsing - store label name
-      // Resolution will happen in codegen when all labels are updated
-      if (this.pass === 2) {
-        // Store as special marker object to indicate it needs resolution
-        return { type: 'LABEL_REF', name: label.value };
-      }
-      
-      // Pass 1: resolve or return placeholder
-      const symbol = this.symbolTable[label.value];
-      if (symbol === undefined) {
-        // Forward reference in pass 1 - return placeholder
-        return 0;
-      }
-      return symbol.address;
+    // Immediate: number, label, $ or any other expression
+    if (this.check(TOKEN.NUMBER) || this.check(TOKEN.LABEL) || this.check(TOKEN.OPERATOR) || this.check(TOKEN.STRING)) {
+      return { type: OPERAND.IMMEDIATE, value: this.parseOperandValue() };
     }
 
     throw new Error(`Unexpected operand token: ${this.peek()?.type}`);
   }
 
-  parseExpressionValue(allowForwardRefs = true) {
-    const evaluator = new ExpressionEvaluator(this.symbolTable, this.currentAddress);
+  /**
+   * Whether the ( at the current position encloses the whole operand
+   */
+  isParenthesizedOperand() {
+    let depth = 0;
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      const type = this.tokens[i].type;
+      if (type === TOKEN.NEWLINE || type === TOKEN.EOF) break;
+      if (type === TOKEN.LPAREN) depth++;
+      if (type === TOKEN.RPAREN && --depth === 0) {
+        const next = this.tokens[i + 1];
+        return !next || [TOKEN.COMMA, TOKEN.NEWLINE, TOKEN.EOF].includes(next.type);
+      }
+    }
+    return true; // unbalanced - parsed as (nn) so the missing ) is reported
+  }
+
+  /**
+   * Value of an immediate or memory operand. In pass 2 a lone label is kept
+   * as a label reference so the code generator can resolve it against final addresses.
+   * A .DEFL symbol (or REPT/IRP counter) takes its value as of this line instead,
+   * since the code generator would only see the last one.
+   */
+  parseOperandValue() {
+    if (this.pass === 2 && this.check(TOKEN.LABEL) && this.symbolTable[this.peek().value]?.type !== 'DEFL') {
+      const next = this.tokens[this.pos + 1];
+      if (!next || [TOKEN.COMMA, TOKEN.NEWLINE, TOKEN.RPAREN, TOKEN.EOF].includes(next.type)) {
+        return { type: 'LABEL_REF', name: this.advance().value };
+      }
+    }
+    return this.parseExpressionValue();
+  }
+
+  parseExpressionValue() {
+    const evaluator = new ExpressionEvaluator(this.symbolTable, this.currentAddress, this.functions, this.forwardSymbols,
+      (char, token) => this.encodeChar(char, token));
     const exprTokens = this.collectExpressionTokens();
     try {
-      return evaluator.evaluate(exprTokens);
+      const value = evaluator.evaluate(exprTokens);
+      this.forwardRefsUsed ||= evaluator.usedForwardSymbols;
+      this.unresolvedValue ||= evaluator.usedUnresolvedSymbols;
+      return value;
     } catch (e) {
-      // In pass 1, forward references are OK for size calculation
-      // But for .EQU, we need actual values, so don't allow forward refs there
-      if (allowForwardRefs && (e.message.includes('Undefined symbol') || e.message.includes('Undefined label'))) {
-        return 0; // Placeholder for pass 1
+      // While sizing, a symbol no pass has defined yet counts as 0; the next
+      // pass sees its value. In pass 2 it is a genuinely undefined symbol.
+      if (this.pass === 1 && e.message.includes('Undefined symbol')) {
+        this.forwardRefsUsed = true;
+        this.unresolvedValue = true;
+        return 0;
       }
       throw e;
     }
@@ -706,184 +2231,33 @@ export class Parser {
 
   calculateInstructionSize() {
     const startPos = this.pos;
-    const mnemonic = this.peek();
-    
-    if (!mnemonic || mnemonic.type !== TOKEN.MNEMONIC) {
-      this.pos = startPos;
-      return 0;
-    }
-
-    const mnem = mnemonic.value;
-    this.advance(); // consume mnemonic
-    
-    // Instructions with no operands
-    if (['NOP', 'HALT', 'DI', 'EI', 'SCF', 'CCF', 'CPL', 'DAA', 'RLCA', 'RRCA', 'RLA', 'RRA', 'RET', 'EXX', 'EX DE,HL', 'EX AF,AF\''].includes(mnem)) {
-      this.pos = startPos;
-      return 1;
-    }
-    
-    // ED-prefixed instructions (2 bytes)
-    if (['LDIR', 'LDDR', 'LDI', 'LDD', 'RETI', 'RETN', 'NEG'].includes(mnem)) {
-      this.pos = startPos;
-      return 2;
-    }
-    
-    // Always 3-byte instructions
-    if (['JP', 'CALL'].includes(mnem)) {
-      // Check if conditional (2 operands = conditional, 1 = unconditional, both 3 bytes)
-      this.skipToNewline();
-      this.pos = startPos;
-      return 3;
-    }
-    
-    // Always 2-byte relative jumps
-    if (['JR', 'DJNZ'].includes(mnem)) {
-      this.skipToNewline();
-      this.pos = startPos;
-      return 2;
-    }
-    
-    // Try to parse operands to determine size
-    let operandCount = 0;
-    let hasImmediate = false;
-    let has16Bit = false;
-    let hasRegister = false;
-    let hasIndirect = false;
-    
-    while (!this.check(TOKEN.NEWLINE) && !this.isAtEnd()) {
-      if (this.check(TOKEN.NUMBER) || this.check(TOKEN.OPERATOR)) {
-        // Could be immediate value or expression
-        const savedPos = this.pos;
-        try {
-          const val = this.parseExpressionValue(true); // Allow forward refs for size calc
-          hasImmediate = true;
-          if (val > 255 || val < 0) has16Bit = true;
-          operandCount++;
-        } catch (e) {
-          this.pos = savedPos;
-          // Estimate: if it's a number token, likely immediate
-          if (this.check(TOKEN.NUMBER)) {
-            this.advance();
-            hasImmediate = true;
-            operandCount++;
-          } else {
-            break;
-          }
-        }
-      } else if (this.check(TOKEN.LABEL)) {
-        // Could be label (forward ref) or condition code
-        const label = this.peek();
-        if (CONDITIONS[label.value] !== undefined) {
-          this.advance(); // condition code
-          operandCount++;
-        } else {
-          // Forward reference - estimate based on instruction
-          this.advance();
-          operandCount++;
-          // For size calculation, assume it's an address if in certain contexts
-          if (mnem === 'LD' || mnem === 'JP' || mnem === 'CALL') {
-            has16Bit = true;
-          }
-        }
-      } else if (this.check(TOKEN.REGISTER)) {
-        this.advance();
-        hasRegister = true;
-        operandCount++;
-      } else if (this.check(TOKEN.COMMA)) {
-        this.advance();
-      } else if (this.check(TOKEN.LPAREN)) {
-        this.advance();
-        if (this.check(TOKEN.REGISTER)) {
-          this.advance();
-          this.consume(TOKEN.RPAREN);
-          hasIndirect = true;
-          operandCount++;
-        } else {
-          // (nn) - 16-bit address
-          has16Bit = true;
-          hasIndirect = true;
-          // Try to parse, but don't fail on forward refs
-          const savedPos = this.pos;
-          try {
-            this.parseExpressionValue(true);
-          } catch (e) {
-            // Ignore - it's a forward ref, assume 16-bit
-          }
-          this.consume(TOKEN.RPAREN);
-          operandCount++;
-        }
-      } else {
-        break;
-      }
-    }
-    
-    this.pos = startPos; // reset
+    const mnemonic = this.advance();
 
-    // Calculate size based on instruction and operands
-    if (mnem === 'LD') {
-      if (operandCount === 2) {
-        if (has16Bit) return 3; // LD dd,nn or LD (nn),r
-        if (hasImmediate && hasRegister) return 2; // LD r,n (8-bit immediate)
-        if (hasRegister && hasIndirect) return 1; // LD (HL),r or LD r,(HL)
-        if (hasRegister && !hasImmediate) return 1; // LD r,r
-        if (hasImmediate && hasIndirect) return 2; // LD (HL),n
-        return 2; // Default estimate
-      }
-      return 2;
-    }
-    
-    if (['ADD', 'ADC', 'SUB', 'SBC', 'AND', 'OR', 'XOR', 'CP'].includes(mnem)) {
-      if (hasImmediate) return 2; // ALU A,n
-      return 1; // ALU A,r
-    }
-    
-    if (mnem === 'ADD' && operandCount === 2 && hasRegister) {
-      return 1; // ADD HL,ss
-    }
-    
-    if (['INC', 'DEC'].includes(mnem)) {
-      if (hasRegister && !hasIndirect) {
-        // Check if 16-bit register
-        return 1; // Both 8-bit and 16-bit INC/DEC are 1 byte
-      }
-      if (hasIndirect) return 1; // INC (HL), DEC (HL)
-      return 1;
-    }
-    
-    if (['PUSH', 'POP'].includes(mnem)) {
-      return 1;
-    }
-    
-    if (mnem === 'RET' && operandCount > 0) {
-      return 1; // RET cc
-    }
-    
-    if (mnem === 'RST') {
-      return 1;
-    }
-    
-    if (['BIT', 'SET', 'RES', 'RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'].includes(mnem)) {
-      return 2; // CB-prefixed
-    }
-    
-    if (['IN', 'OUT'].includes(mnem)) {
-      return 2; // IN A,(n), OUT (n),A
+    // Forward references parse as 0 in pass 1, which doesn't change the size.
+    // Operand errors are reported in pass 2.
+    try {
+      return this.instructionSize(mnemonic.value, this.parseOperands(mnemonic.value));
+    } catch (e) {
+      return 0;
+    } finally {
+      this.pos = startPos; // reset
     }
-    
-    // Default estimates
-    if (has16Bit) return 3;
-    if (hasImmediate) return 2;
-    return 1;
   }
 
   defineSymbol(name, address, type = 'LABEL') {
-    if (this.symbolTable[name] && type !== 'DEFL') {
-      this.warnings.push({
-        message: `Symbol ${name} redefined`,
-        line: this.currentLine()
+    // Names are qualified by MODULE and PROC, so a clash is within the same scope
+    const previous = this.symbolTable[name];
+    if (previous && type !== 'DEFL') {
+      this.errors.push({
+        message: `Symbol ${name} already defined (${previous.file ? `${previous.file}, ` : ''}line ${previous.line})`,
+        line: this.currentLine(),
+        ...sourceOf(this.tokens[this.pos - 1])
       });
     }
-    this.symbolTable[name] = { address, type };
+    this.symbolTable[name] = { address, type, line: this.currentLine(), ...fileOf(this.peek() ?? this.tokens[this.pos - 1]) };
+    if (this.localParents[name]) {
+      this.symbolTable[name].parent = this.localParents[name];
+    }
   }
 
   consume(expectedType) {
@@ -893,6 +2267,11 @@ export class Parser {
     throw new Error(`Expected ${expectedType}, got ${this.peek()?.type}`);
   }
 
+  /** Whether the lexer reported an error on the given line of a file */
+  hasLexerError(line, file) {
+    return this.tokens.some(t => t.type === 'ERROR' && t.line === line && t.file === file);
+  }
+
   synchronize() {
     // Skip to next line
     while (!this.isAtEnd() && !this.check(TOKEN.NEWLINE)) {
@@ -920,3 +2299,80 @@ export class Parser {
   currentLine() { return this.peek()?.line ?? this.tokens[this.pos - 1]?.line ?? 1; }
 }
 
+/**
+ * Names of symbols that are new, gone or have a different value or size
+ * compared with the previous pass
+ */
+function changedSymbols(previous, current) {
+  const names = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  return [...names].filter(name =>
+    previous[name]?.address !== current[name]?.address || previous[name]?.size !== current[name]?.size ||
+    previous[name]?.unresolved !== current[name]?.unresolved
+  );
+}
+
+/**
+ * Where a token (or symbol) came from, for diagnostics: the included file,
+ * and the macro and the line (and file) of its body
+ */
+function sourceOf(token) {
+  return {
+    ...(token?.file ? { file: token.file } : {}),
+    ...(token?.macro ? { macro: token.macro, macroLine: token.macroLine } : {}),
+    ...(token?.macroFile ? { macroFile: token.macroFile } : {})
+  };
+}
+
+/**
+ * Separate the LOCAL lines at the top level of a macro or repeat body from the rest
+ */
+function splitLocals(tokens) {
+  const body = [];
+  const locals = [];
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const name = token.type === TOKEN.DIRECTIVE ? token.value.replace(/^\./, '') : null;
+    if (BLOCK_ENDS[name]) depth++;
+    if (isBlockEnd(name)) depth--;
+    if (depth === 0 && name === 'LOCAL') {
+      for (i++; i < tokens.length && tokens[i].type !== TOKEN.NEWLINE; i++) {
+        if (tokens[i].type === TOKEN.LABEL) locals.push(tokens[i].value);
+      }
+      continue; // drops the NEWLINE too
+    }
+    body.push(token);
+  }
+  return { body, locals };
+}
+
+/**
+ * Copy a macro or repeat body, replacing parameters with their argument
+ * tokens and appending the expansion's suffix to LOCAL labels
+ */
+function substitute(body, bindings, locals, suffix) {
+  return body.flatMap(token => {
+    if (token.type !== TOKEN.LABEL) return [token];
+    if (bindings.has(token.value)) return bindings.get(token.value);
+    return [locals.includes(token.value) ? { ...token, value: token.value + suffix } : token];
+  });
+}
+
+/** Source text of an expression's tokens, as written, for messages */
+function expressionText(tokens) {
+  let text = '';
+  tokens.forEach((token, i) => {
+    const written = token.type === TOKEN.STRING ? `"${token.value}"` : String(token.raw ?? token.value);
+    const previous = tokens[i - 1];
+    if (previous && token.column > previous.column + String(previous.raw ?? previous.value).length) {
+      text += ' ';
+    }
+    text += written;
+  });
+  return text;
+}
+
+/** The file a token came from, if it was included */
+function fileOf(token) {
+  return token?.file ? { file: token.file } : {};
+}
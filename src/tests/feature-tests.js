@@ -0,0 +1,1711 @@
+/**
+ * Feature tests
+ *
+ * Focused assembler tests that are not part of the example program library.
+ * Each entry has the same shape as an example program, plus:
+ * - options: optional Z80Assembler options
+ * - fileName: optional name of the source, which INCLUDE paths are relative to
+ * - expectedErrors: substrings that must appear in the reported errors
+ *   (the test then expects assembly to fail)
+ * - expectedWarnings: substrings that must appear in the reported warnings
+ * - expectedInstructionCount: number of entries in the assembled instruction list
+ * - expectedInstructions: fields each assembled instruction must have, in order
+ */
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createMemoryResolver } from '../utils/memory-resolver.js';
+import { createNodeResolver } from '../utils/node-resolver.js';
+import { INCLUDE_FILES } from '../examples/includes.js';
+
+// INCLUDE test files on disk
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+// INCBIN tests use the Model III ROM image
+const REPO_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const ROM = readFileSync(new URL('../../roms/model3.rom', import.meta.url));
+
+export const FEATURE_TESTS = [
+  {
+    id: 'indexed',
+    name: 'IX/IY Indexed Addressing',
+    description: 'DD/FD-prefixed forms: (IX+d), IX/IY register pairs and DDCB/FDCB bit operations',
+    source: `        .ORG    $4200
+
+REC_X   .EQU    0
+REC_Y   .EQU    1
+REC_HP  .EQU    2
+
+START:  LD      IX, PLAYER          ; DD 21 50 42
+        LD      IY, $3C00           ; FD 21 00 3C
+        LD      A, (IX+REC_X)       ; DD 7E 00
+        LD      B, (IX+REC_Y)       ; DD 46 01
+        LD      (IY+5), A           ; FD 77 05
+        LD      (IX+REC_HP), 100    ; DD 36 02 64
+        LD      H, (IX-1)           ; DD 66 FF
+        ADD     A, (IX+2)           ; DD 86 02
+        CP      (IY-128)            ; FD BE 80
+        INC     (IX+1)              ; DD 34 01
+        DEC     (IY+127)            ; FD 35 7F
+        ADD     IX, BC              ; DD 09
+        ADD     IY, IY              ; FD 29
+        INC     IX                  ; DD 23
+        DEC     IY                  ; FD 2B
+        PUSH    IX                  ; DD E5
+        POP     IY                  ; FD E1
+        LD      SP, IY              ; FD F9
+        LD      (SAVE), IX          ; DD 22 53 42
+        EX      (SP), IX            ; DD E3
+        BIT     7, (IX+REC_HP)      ; DD CB 02 7E
+        SET     0, (IY+3)           ; FD CB 03 C6
+        RES     1, (IX-2)           ; DD CB FE 8E
+        RLC     (IX+4)              ; DD CB 04 06
+        SRL     (IY)                ; FD CB 00 3E
+        JP      (IX)                ; DD E9
+        JP      (IY)                ; FD E9
+
+PLAYER: .DB     10, 20, 30
+SAVE:   .DW     0
+
+        .END`,
+    expectedBytes: [
+      0xDD, 0x21, 0x50, 0x42, 0xFD, 0x21, 0x00, 0x3C, 0xDD, 0x7E, 0x00, 0xDD, 0x46, 0x01,
+      0xFD, 0x77, 0x05, 0xDD, 0x36, 0x02, 0x64, 0xDD, 0x66, 0xFF, 0xDD, 0x86, 0x02,
+      0xFD, 0xBE, 0x80, 0xDD, 0x34, 0x01, 0xFD, 0x35, 0x7F, 0xDD, 0x09, 0xFD, 0x29,
+      0xDD, 0x23, 0xFD, 0x2B, 0xDD, 0xE5, 0xFD, 0xE1, 0xFD, 0xF9, 0xDD, 0x22, 0x53, 0x42,
+      0xDD, 0xE3, 0xDD, 0xCB, 0x02, 0x7E, 0xFD, 0xCB, 0x03, 0xC6, 0xDD, 0xCB, 0xFE, 0x8E,
+      0xDD, 0xCB, 0x04, 0x06, 0xFD, 0xCB, 0x00, 0x3E, 0xDD, 0xE9, 0xFD, 0xE9,
+      0x0A, 0x14, 0x1E, 0x00, 0x00
+    ],
+    expectedSymbols: { START: 0x4200, PLAYER: 0x4250, SAVE: 0x4253 }
+  },
+  {
+    id: 'indexed-range',
+    name: 'IX/IY Displacement Range',
+    description: 'Displacements outside -128..127 are rejected',
+    source: `        .ORG    $4200
+        LD      A, (IX+128)
+        LD      (IY-129), 5
+        .END`,
+    expectedErrors: [
+      'Line 2, Col 20: Index displacement out of range: 128',
+      'Line 3, Col 17: Index displacement out of range: -129'
+    ]
+  },
+  {
+    id: 'indexed-errors',
+    name: 'IX/IY Pattern Errors',
+    description: 'Unsupported indexed forms are reported with the operands as written; JP (IX) takes no displacement, not even +0',
+    source: `        .ORG    $4200
+        LD      (IX+1), (IX+2)
+        SUB     (IY-3), A
+        JP      (IX+0)
+        JP      (IY-0)
+        .END`,
+    expectedErrors: [
+      'Unsupported LD pattern: (IX+1), (IX+2)',
+      'Unsupported SUB pattern: (IY-3), A',
+      'Line 4, Col 9: JP (IX) does not take a displacement',
+      'Line 5, Col 9: JP (IY) does not take a displacement'
+    ]
+  },
+  {
+    id: 'ed-group',
+    name: 'ED-Prefixed Instructions',
+    description: 'Every ED-page instruction checked against the Zilog opcode table',
+    source: `        .ORG    $4200
+
+START:  IM      0                   ; ED 46
+        IM      1                   ; ED 56
+        IM      2                   ; ED 5E
+        RLD                         ; ED 6F
+        RRD                         ; ED 67
+        LDI                         ; ED A0
+        CPI                         ; ED A1
+        INI                         ; ED A2
+        OUTI                        ; ED A3
+        LDD                         ; ED A8
+        CPD                         ; ED A9
+        IND                         ; ED AA
+        OUTD                        ; ED AB
+        LDIR                        ; ED B0
+        CPIR                        ; ED B1
+        INIR                        ; ED B2
+        OTIR                        ; ED B3
+        LDDR                        ; ED B8
+        CPDR                        ; ED B9
+        INDR                        ; ED BA
+        OTDR                        ; ED BB
+        ADC     HL, BC              ; ED 4A
+        ADC     HL, DE              ; ED 5A
+        ADC     HL, HL              ; ED 6A
+        ADC     HL, SP              ; ED 7A
+        SBC     HL, BC              ; ED 42
+        SBC     HL, DE              ; ED 52
+        SBC     HL, HL              ; ED 62
+        SBC     HL, SP              ; ED 72
+        LD      (SAVE), BC          ; ED 43 5E 42
+        LD      (SAVE), DE          ; ED 53 5E 42
+        LD      (SAVE), SP          ; ED 73 5E 42
+        LD      A, I                ; ED 57
+        LD      A, R                ; ED 5F
+        LD      I, A                ; ED 47
+        LD      R, A                ; ED 4F
+        IN      B, (C)              ; ED 40
+        IN      L, (C)              ; ED 68
+        IN      A, (C)              ; ED 78
+        OUT     (C), D              ; ED 51
+        OUT     (C), A              ; ED 79
+        NEG                         ; ED 44
+        RETN                        ; ED 45
+        RETI                        ; ED 4D
+
+SAVE:   .DW     0
+
+        .END`,
+    expectedBytes: [
+      0xED, 0x46, 0xED, 0x56, 0xED, 0x5E, 0xED, 0x6F, 0xED, 0x67,
+      0xED, 0xA0, 0xED, 0xA1, 0xED, 0xA2, 0xED, 0xA3, 0xED, 0xA8, 0xED, 0xA9, 0xED, 0xAA, 0xED, 0xAB,
+      0xED, 0xB0, 0xED, 0xB1, 0xED, 0xB2, 0xED, 0xB3, 0xED, 0xB8, 0xED, 0xB9, 0xED, 0xBA, 0xED, 0xBB,
+      0xED, 0x4A, 0xED, 0x5A, 0xED, 0x6A, 0xED, 0x7A, 0xED, 0x42, 0xED, 0x52, 0xED, 0x62, 0xED, 0x72,
+      0xED, 0x43, 0x5E, 0x42, 0xED, 0x53, 0x5E, 0x42, 0xED, 0x73, 0x5E, 0x42,
+      0xED, 0x57, 0xED, 0x5F, 0xED, 0x47, 0xED, 0x4F,
+      0xED, 0x40, 0xED, 0x68, 0xED, 0x78, 0xED, 0x51, 0xED, 0x79,
+      0xED, 0x44, 0xED, 0x45, 0xED, 0x4D,
+      0x00, 0x00
+    ],
+    expectedSymbols: { START: 0x4200, SAVE: 0x425E }
+  },
+  {
+    id: 'im-mode',
+    name: 'Invalid Interrupt Mode',
+    description: 'IM only accepts modes 0, 1 and 2',
+    source: `        .ORG    $4200
+        IM      3
+        .END`,
+    expectedErrors: ['Invalid interrupt mode: 3']
+  },
+  {
+    id: 'ret-cc',
+    name: 'Conditional Returns',
+    description: 'RET cc encodes the condition instead of a plain RET',
+    source: `        .ORG    $4200
+
+START:  RET     NZ                  ; C0
+        RET     C                   ; D8
+        RET     PE                  ; E8
+        RET     M                   ; F8
+        RET                         ; C9
+
+        .END`,
+    expectedBytes: [0xC0, 0xD8, 0xE8, 0xF8, 0xC9],
+    expectedSymbols: { START: 0x4200 }
+  },
+  {
+    id: 'ex-family',
+    name: 'EX Instruction Family',
+    description: 'Register exchanges: EX DE,HL / EX AF,AF\' / EX (SP),HL / EX (SP),IX / EX (SP),IY',
+    source: `        .ORG    $4200
+
+START:  EX      DE, HL              ; EB
+        EX      AF, AF'             ; 08
+        EX      (SP), HL            ; E3
+        EX      (SP), IX            ; DD E3
+        EX      (SP), IY            ; FD E3
+NEXT:   EXX                         ; D9
+
+        .END`,
+    expectedBytes: [0xEB, 0x08, 0xE3, 0xDD, 0xE3, 0xFD, 0xE3, 0xD9],
+    expectedSymbols: { START: 0x4200, NEXT: 0x4207 }
+  },
+  {
+    id: 'ex-invalid',
+    name: 'Invalid EX Operands',
+    description: 'Only the documented register pairs can be exchanged',
+    source: `        .ORG    $4200
+        EX      HL, BC
+        .END`,
+    expectedErrors: ['Unsupported EX pattern: HL, BC']
+  },
+  {
+    id: 'undocumented',
+    name: 'Undocumented Instructions',
+    description: 'IXH/IXL/IYH/IYL, SLL, IN (C), OUT (C),0 and DDCB copy forms, allowed by option',
+    options: { undocumented: 'allow' },
+    source: `        .ORG    $4200
+
+START:  LD      IXH, 5              ; DD 26 05
+        LD      IXL, A              ; DD 6F
+        LD      A, IYH              ; FD 7C
+        LD      IYL, IYH            ; FD 6C
+        ADD     A, IYL              ; FD 85
+        SUB     IXH                 ; DD 94
+        CP      IXL                 ; DD BD
+        INC     IXH                 ; DD 24
+        DEC     IYL                 ; FD 2D
+        SLL     B                   ; CB 30
+        SLL     (HL)                ; CB 36
+        SLL     (IX+2)              ; DD CB 02 36
+        OUT     (C), 0              ; ED 71
+        IN      (C)                 ; ED 70
+        IN      F, (C)              ; ED 70
+        RLC     (IX+1), B           ; DD CB 01 00
+        SET     3, (IY+2), A        ; FD CB 02 DF
+        RES     0, (IX-1), C        ; DD CB FF 81
+        SRL     (IY+4), E           ; FD CB 04 3B
+DONE:   RET                         ; C9
+
+        .END`,
+    expectedBytes: [
+      0xDD, 0x26, 0x05, 0xDD, 0x6F, 0xFD, 0x7C, 0xFD, 0x6C, 0xFD, 0x85,
+      0xDD, 0x94, 0xDD, 0xBD, 0xDD, 0x24, 0xFD, 0x2D, 0xCB, 0x30, 0xCB, 0x36,
+      0xDD, 0xCB, 0x02, 0x36, 0xED, 0x71, 0xED, 0x70, 0xED, 0x70,
+      0xDD, 0xCB, 0x01, 0x00, 0xFD, 0xCB, 0x02, 0xDF, 0xDD, 0xCB, 0xFF, 0x81,
+      0xFD, 0xCB, 0x04, 0x3B, 0xC9
+    ],
+    expectedSymbols: { START: 0x4200, DONE: 0x4231 }
+  },
+  {
+    id: 'undocumented-warn',
+    name: 'Undocumented Instruction Warning',
+    description: 'Undocumented instructions assemble with a warning by default',
+    source: `        .ORG    $4200
+        LD      A, IXL
+        .END`,
+    expectedBytes: [0xDD, 0x7D],
+    expectedWarnings: ['Undocumented instruction: LD A, IXL']
+  },
+  {
+    id: 'undocumented-off',
+    name: 'Undocumented Instructions Rejected',
+    description: '.UNDOC OFF turns undocumented instructions into errors',
+    source: `        .ORG    $4200
+        .UNDOC  OFF
+        SLL     A
+        .END`,
+    expectedErrors: ['Undocumented instruction: SLL A']
+  },
+  {
+    id: 'instruction-sizes',
+    name: 'Instruction Sizes Match Encoding',
+    description: 'Labels after forms the parser used to size differently from the code generator',
+    source: `        .ORG    $4200
+
+START:  LD      (HL), 5             ; 36 05
+        ADD     HL, BC              ; 09
+        LD      BC, (VALUE)         ; ED 4B lo hi
+        LD      HL, (VALUE)         ; 2A lo hi
+        LD      A, (VALUE)          ; 3A lo hi
+        LD      A, LOW(VALUE)       ; 3E lo
+        LD      (VALUE), SP         ; ED 73 lo hi
+        JR      NEXT                ; 18 01
+        RST     38H                 ; FF
+NEXT:   LD      (VALUE), HL         ; 22 lo hi
+VALUE:  .DW     NEXT
+AFTER:  RET
+
+        .END`,
+    expectedBytes: [
+      0x36, 0x05, 0x09, 0xED, 0x4B, 0x19, 0x42, 0x2A, 0x19, 0x42, 0x3A, 0x19, 0x42,
+      0x3E, 0x19, 0xED, 0x73, 0x19, 0x42, 0x18, 0x01, 0xFF, 0x22, 0x19, 0x42,
+      0x16, 0x42, 0xC9
+    ],
+    expectedSymbols: { START: 0x4200, NEXT: 0x4216, VALUE: 0x4219, AFTER: 0x421B }
+  },
+  {
+    id: 'operand-modes',
+    name: 'Memory vs Immediate Operands',
+    description: '(nn) is always a memory operand and nn always an immediate, whatever the value',
+    source: `        .ORG    $4200
+
+M       .EQU    7
+
+START:  LD      A, ($0010)          ; 3A 10 00
+        LD      A, $10              ; 3E 10
+        LD      HL, (VALUE)         ; 2A lo hi
+        LD      HL, VALUE           ; 21 lo hi
+        LD      BC, (VALUE)         ; ED 4B lo hi
+        LD      A, (2+3)*4          ; 3E 14 - parentheses inside an expression
+        LD      A, M                ; 3E 07 - M is a label outside JP/CALL/RET
+        JP      M, START            ; FA 00 42
+        RET     C                   ; D8
+        OUT     (C), C              ; ED 49
+VALUE:  .DW     $1234
+
+        .END`,
+    expectedBytes: [
+      0x3A, 0x10, 0x00, 0x3E, 0x10, 0x2A, 0x19, 0x42, 0x21, 0x19, 0x42,
+      0xED, 0x4B, 0x19, 0x42, 0x3E, 0x14, 0x3E, 0x07, 0xFA, 0x00, 0x42,
+      0xD8, 0xED, 0x49, 0x34, 0x12
+    ],
+    expectedSymbols: { M: 7, START: 0x4200, VALUE: 0x4219 }
+  },
+  {
+    id: 'operators',
+    name: 'Expression Operators',
+    description: 'Every binary and unary operator, including the keyword forms',
+    source: `        .ORG    $4200
+
+ADDR    .EQU    $1234
+MOD3    .EQU    17 % 5              ; 2
+MODK    .EQU    17 MOD 5            ; 2
+NDIV    .EQU    -7 / 2              ; -4 - division rounds down
+NMOD    .EQU    -7 MOD 2            ; 1 - and the remainder matches it
+NMOD2   .EQU    7 % -2              ; -1
+NSUM    .EQU    (-7 / 2) * 2 + -7 % 2   ; -7
+ANDS    .EQU    $F0 & $3C           ; $30
+ANDK    .EQU    $F0 AND $3C         ; $30
+ORS     .EQU    $F0 | $0F           ; $FF
+ORK     .EQU    $F0 OR $0F          ; $FF
+XORS    .EQU    $FF ^ $0F           ; $F0
+XORK    .EQU    $FF XOR $0F         ; $F0
+NOTS    .EQU    ~$0F & $FF          ; $F0
+SHLS    .EQU    1 << 4              ; 16
+SHLK    .EQU    1 SHL 4             ; 16
+SHRS    .EQU    ADDR >> 8           ; $12
+SHRK    .EQU    ADDR SHR 8          ; $12
+EQ      .EQU    3 = 3               ; 1
+EQ2     .EQU    3 == 4              ; 0
+NE      .EQU    3 <> 4              ; 1
+NE2     .EQU    3 != 3              ; 0
+LT      .EQU    2 < 3               ; 1
+GT      .EQU    2 > 3               ; 0
+LE      .EQU    3 <= 3              ; 1
+GE      .EQU    2 >= 3              ; 0
+LAND    .EQU    2 && 0              ; 0
+LOR     .EQU    0 || 5              ; 1
+LNOT    .EQU    !0                  ; 1
+
+START:  LD      A, ADDR & $FF       ; 3E 34
+        LD      B, ADDR >> 8        ; 06 12
+        AND     %1111               ; E6 0F - % prefix is binary
+        LD      C, 7 % 4            ; 0E 03
+        .DB     ~0 & $FF, !7, 1 << 7
+        .DW     ~1
+
+        .END`,
+    expectedBytes: [
+      0x3E, 0x34, 0x06, 0x12, 0xE6, 0x0F, 0x0E, 0x03,
+      0xFF, 0x00, 0x80, 0xFE, 0xFF
+    ],
+    expectedSymbols: {
+      MOD3: 2, MODK: 2, NDIV: -4, NMOD: 1, NMOD2: -1, NSUM: -7, ANDS: 0x30, ANDK: 0x30, ORS: 0xFF, ORK: 0xFF,
+      XORS: 0xF0, XORK: 0xF0, NOTS: 0xF0, SHLS: 16, SHLK: 16, SHRS: 0x12, SHRK: 0x12,
+      EQ: 1, EQ2: 0, NE: 1, NE2: 0, LT: 1, GT: 0, LE: 1, GE: 0,
+      LAND: 0, LOR: 1, LNOT: 1
+    }
+  },
+  {
+    id: 'operator-precedence',
+    name: 'Operator Precedence',
+    description: 'C-style precedence and left associativity across all levels',
+    source: `        .ORG    $4200
+
+P1      .EQU    1 + 2 * 3           ; 7
+P2      .EQU    1 + 2 << 1          ; 6 - shift binds looser than +
+P3      .EQU    1 << 2 < 5          ; 1 - comparison looser than shift
+P4      .EQU    1 < 2 = 1           ; 1 - equality looser than relational
+P5      .EQU    6 & 3 = 3           ; 0 - & looser than =, so 6 & 1
+P6      .EQU    1 | 6 ^ 3 & 1       ; 7 - & then ^ then |
+P7      .EQU    0 && 1 || 1         ; 1 - && before ||
+P8      .EQU    100 - 10 - 5        ; 85 - left associative
+P9      .EQU    64 / 4 / 2          ; 8
+P10     .EQU    -2 * -3             ; 6
+P11     .EQU    ~0 + 1              ; 0 - unary binds tightest
+P12     .EQU    (1 + 2) * 3         ; 9
+
+        .END`,
+    expectedBytes: [],
+    expectedSymbols: {
+      P1: 7, P2: 6, P3: 1, P4: 1, P5: 0, P6: 7, P7: 1,
+      P8: 85, P9: 8, P10: 6, P11: 0, P12: 9
+    }
+  },
+  {
+    id: 'operator-errors',
+    name: 'Operator Errors',
+    description: 'Modulo by zero and leftover tokens are reported',
+    source: `        .ORG    $4200
+        .DB     5 % 0
+        .DB     1 2
+        .END`,
+    expectedBytes: [],
+    expectedErrors: ['Modulo by zero', 'Unexpected 2 in expression']
+  },
+  {
+    id: 'percent-binary',
+    name: 'Binary % After Names',
+    description: '% is binary at the start of a macro argument or STRUCT value, and modulo after any value',
+    source: `        .ORG    $4200
+SETB    MACRO   V
+        .DB     V
+        ENDM
+REC     STRUCT
+FLAGS   .DB     0
+        ENDS
+X       .EQU    17
+        SETB    %1010           ; 0A
+        REC     %0101           ; 05
+        .DB     X%5, X %101, X % $10, (X+1)%10  ; 02 11 01 08
+        .END`,
+    expectedBytes: [0x0A, 0x05, 0x02, 0x11, 0x01, 0x08]
+  },
+  {
+    id: 'functions',
+    name: 'Expression Functions',
+    description: 'HIGH, LOW, DEFINED, SIZEOF, ABS, MIN, MAX and STRLEN',
+    source: `        .ORG    $4200
+
+START:  LD      A, HIGH(BUFFER)         ; 3E 42
+        LD      A, LOW(BUFFER)          ; 3E 1A
+        LD      B, SIZEOF(MESSAGE)      ; 06 05 - both .DB lines
+        LD      C, DEFINED(START)       ; 0E 01
+        LD      D, DEFINED(BUFFER)      ; 16 00 - only symbols defined earlier count
+        LD      E, ABS(-5)              ; 1E 05
+        LD      H, MIN(3, 1, 2)         ; 26 01
+        LD      L, MAX(3, 9, 2)         ; 2E 09
+        LD      A, STRLEN("HELLO") + 1  ; 3E 06
+        LD      A, low(START + $105)    ; 3E 05 - names are case-insensitive
+        RET                             ; C9
+MESSAGE:
+        .DB     "HI"
+        .DB     13, 10, 0
+BUFFER: .DS     2
+
+        .END`,
+    expectedBytes: [
+      0x3E, 0x42, 0x3E, 0x1A, 0x06, 0x05, 0x0E, 0x01, 0x16, 0x00, 0x1E, 0x05,
+      0x26, 0x01, 0x2E, 0x09, 0x3E, 0x06, 0x3E, 0x05, 0xC9,
+      0x48, 0x49, 0x0D, 0x0A, 0x00, 0x00, 0x00
+    ],
+    expectedSymbols: { START: 0x4200, MESSAGE: 0x4215, BUFFER: 0x421A }
+  },
+  {
+    id: 'strlen-code-points',
+    name: 'STRLEN Counts Characters',
+    description: 'STRLEN counts characters outside the BMP once, as .DB emits one byte for each',
+    source: `        .ORG    $4200
+        .CHARMAP "😀", $80
+MSG:    .DB     "😀A😀"
+        .DB     STRLEN("😀A😀")
+        .END`,
+    expectedBytes: [0x80, 0x41, 0x80, 0x03]
+  },
+  {
+    id: 'function-errors',
+    name: 'Expression Function Errors',
+    description: 'Unknown functions, wrong argument counts and bad arguments are reported',
+    source: `        .ORG    $4200
+START:  LD      A, FOO(1)
+        LD      A, HIGH(1, 2)
+        LD      A, STRLEN(5)
+        LD      A, SIZEOF(START)
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Unknown function: FOO',
+      'HIGH expects 1 argument, got 2',
+      'STRLEN expects a string',
+      'SIZEOF: START does not label a data block'
+    ]
+  },
+  {
+    id: 'host-functions',
+    name: 'Host-Registered Functions',
+    description: 'Functions added through Z80Assembler#registerFunction are callable from source',
+    setup: assembler => {
+      assembler.registerFunction('SCREEN', ([row, col]) => 0x3C00 + row * 64 + col,
+        { minArgs: 2, maxArgs: 2 });
+      assembler.registerFunction('ISLABEL', ([name], { symbolTable }) =>
+        Number(symbolTable[name]?.type === 'LABEL'), { minArgs: 1, maxArgs: 1, symbolArgs: true });
+    },
+    source: `        .ORG    $4200
+COLS    .EQU    64
+START:  LD      HL, SCREEN(2, 10)       ; 21 8A 3C
+        LD      A, ISLABEL(START)       ; 3E 01
+        LD      A, ISLABEL(COLS)        ; 3E 00
+        .END`,
+    expectedBytes: [0x21, 0x8A, 0x3C, 0x3E, 0x01, 0x3E, 0x00],
+    expectedSymbols: { COLS: 64, START: 0x4200 }
+  },
+  {
+    id: 'range-checks',
+    name: 'Value Range Checks',
+    description: 'Values too wide for their field are errors instead of being truncated',
+    source: `        .ORG    $4200
+        LD      A, 300
+        LD      A, -129
+        LD      A, BUFFER
+        LD      HL, 65536
+        IN      A, (256)
+        LD      (IX+1), 256
+        .DB     1000
+        .DW     70000
+        BIT     8, A
+        RST     39H
+        IM      3
+BUFFER: .DB     -128, 255
+        .DW     -1, $FFFF
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Value out of range: 300 (must be -128 to 255)',
+      'Value out of range: -129 (must be -128 to 255)',
+      'Value out of range: 16919 (must be -128 to 255)',
+      'Value out of range: 65536 (must be -32768 to 65535)',
+      'Value out of range: 256 (must be 0 to 255)',
+      'Value out of range: 256 (must be -128 to 255)',
+      'Value out of range: 1000 (must be -128 to 255)',
+      'Value out of range: 70000 (must be -32768 to 65535)',
+      'Invalid bit number: 8',
+      'Invalid RST address: 57',
+      'Invalid interrupt mode: 3'
+    ]
+  },
+  {
+    id: 'range-warn',
+    name: 'Range Checks as Warnings',
+    description: 'rangeCheck: warn keeps the truncated value for legacy code and warns instead',
+    options: { rangeCheck: 'warn' },
+    source: `        .ORG    $4200
+        LD      A, 300              ; 3E 2C
+        LD      A, BUFFER           ; 3E 07
+        .DB     $1FF                ; FF
+        .DW     $12345              ; 45 23
+BUFFER: RET                         ; C9
+        .END`,
+    expectedBytes: [0x3E, 0x2C, 0x3E, 0x07, 0xFF, 0x45, 0x23, 0xC9],
+    expectedSymbols: { BUFFER: 0x4207 },
+    expectedWarnings: [
+      'Value out of range: 300',
+      'Value out of range: 16903',
+      'Value out of range: 511',
+      'Value out of range: 74565'
+    ]
+  },
+  {
+    id: 'multi-pass',
+    name: 'Multi-Pass Forward References',
+    description: '.EQU, .DB, .DW and .DS may refer forward; passes repeat until addresses settle',
+    source: `        .ORG    $4200
+
+START:  LD      HL, TABLE           ; 21 0B 42
+        LD      B, COUNT            ; 06 03
+        .DS     GAP                 ; GAP moves TABLE, which needs a third pass
+TABLE:  .DB     1, 2, 3
+TEND:
+COUNT   .EQU    TEND - TABLE        ; 3 - .EQU referring to later labels
+GAP     .EQU    COUNT * 2           ; 6
+        .DB     LAST - TABLE        ; 07
+        .DW     LAST + 1            ; 13 42
+N       .DEFL   1
+        .DB     N                   ; 01 - each line sees the .DEFL value in effect
+N       .DEFL   N + 1
+LAST:   .DB     N                   ; 02
+
+        .END`,
+    expectedBytes: [
+      0x21, 0x0B, 0x42, 0x06, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x01, 0x02, 0x03, 0x07, 0x13, 0x42, 0x01, 0x02
+    ],
+    expectedSymbols: { START: 0x4200, TABLE: 0x420B, TEND: 0x420E, COUNT: 3, GAP: 6, N: 2, LAST: 0x4212 }
+  },
+  {
+    id: 'multi-pass-limit',
+    name: 'Multi-Pass Limit',
+    description: 'Symbols that keep changing are reported once the pass limit is reached',
+    options: { maxPasses: 2 },
+    source: `        .ORG    $4200
+        LD      HL, TABLE
+        .DS     GAP
+TABLE:  .DB     1
+GAP     .EQU    TABLE - $4200
+        .END`,
+    expectedBytes: [],
+    expectedErrors: ['Assembly did not converge after 2 passes (still changing: TABLE, GAP)']
+  },
+  {
+    id: 'unresolved-symbols',
+    name: 'Unresolved Symbols',
+    description: 'A symbol that is never defined is an error, not a zero byte',
+    source: `        .ORG    $4200
+        LD      A, MISSING
+        LD      HL, MISSING + 1
+        .DB     NOWHERE
+        .DW     NOWHERE * 2
+VALUE   .EQU    UNKNOWN
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Undefined symbol: MISSING',
+      'Undefined symbol: MISSING at line 3',
+      'Undefined symbol: NOWHERE at line 4',
+      'Undefined symbol: NOWHERE at line 5',
+      'Undefined symbol: UNKNOWN at line 6'
+    ]
+  },
+  {
+    id: 'circular-definitions',
+    name: 'Circular Definitions',
+    description: 'Constants defined in terms of each other or themselves are errors, not 0',
+    source: `        .ORG    $4200
+X       .EQU    Y
+Y       .EQU    X
+FOO     .EQU    FOO
+        .DB     X, FOO
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: Circular or unresolved definition: X',
+      'Line 3: Circular or unresolved definition: Y',
+      'Line 4: Circular or unresolved definition: FOO'
+    ]
+  },
+  {
+    id: 'forward-constant-chain',
+    name: 'Forward Constant Chain',
+    description: 'Constants defined from later constants settle instead of being taken for circular',
+    source: `        .ORG    $4200
+AA      .EQU    BB * 0 + 1
+BB      .EQU    CC * 0
+CC      .EQU    5
+        .DB     AA, BB, CC
+        .END`,
+    expectedBytes: [0x01, 0x00, 0x05],
+    expectedSymbols: { AA: 1, BB: 0, CC: 5 }
+  },
+  {
+    id: 'macros',
+    name: 'Macros',
+    description: 'MACRO/ENDM with default parameters, LOCAL labels, nested invocations and EXITM',
+    source: `        .ORG    $4200
+
+LOAD    MACRO   REG, VALUE=0
+        LD      REG, VALUE
+        ENDM
+
+        MACRO   DELAY COUNT
+        LOCAL   WAIT
+        LD      B, COUNT
+WAIT:   DJNZ    WAIT
+        ENDM
+
+TWICE   MACRO   VALUE, STOP
+        .DB     VALUE
+        EXITM
+        .DB     VALUE               ; never reached
+        ENDM
+
+START:  LOAD    HL, $1234           ; 21 34 12
+        LOAD    DE                  ; 11 00 00 - default value
+        DELAY   5                   ; 06 05 10 FE
+        DELAY   3                   ; 06 03 10 FE - a fresh WAIT label
+        TWICE   (2 + 3) * 2         ; 0A
+        LOAD    A, (IX+4)           ; DD 7E 04
+DONE:   HALT                        ; 76
+        .END`,
+    expectedBytes: [
+      0x21, 0x34, 0x12, 0x11, 0x00, 0x00, 0x06, 0x05, 0x10, 0xFE,
+      0x06, 0x03, 0x10, 0xFE, 0x0A, 0xDD, 0x7E, 0x04, 0x76
+    ],
+    expectedSymbols: { START: 0x4200, 'WAIT??0003': 0x4208, 'WAIT??0004': 0x420C, DONE: 0x4212 }
+  },
+  {
+    id: 'macro-nesting',
+    name: 'Nested Macros',
+    description: 'Macros can invoke and define other macros; arguments are substituted before nesting',
+    source: `        .ORG    $4200
+
+PAIR    MACRO   FIRST, SECOND
+        .DB     FIRST, SECOND
+        ENDM
+
+QUAD    MACRO   BASE
+        PAIR    BASE, BASE + 1
+        PAIR    BASE + 2, BASE + 3
+        ENDM
+
+MAKE    MACRO   NAME, BYTE
+NAME    MACRO
+        .DB     BYTE
+        ENDM
+        ENDM
+
+        QUAD    $10                 ; 10 11 12 13
+        MAKE    MARKER, $AA         ; defines MARKER
+        MARKER                      ; AA
+        .END`,
+    expectedBytes: [0x10, 0x11, 0x12, 0x13, 0xAA],
+    expectedSymbols: {}
+  },
+  {
+    id: 'macro-errors',
+    name: 'Macro Errors',
+    description: 'Errors inside an expansion report the invocation line and the macro body line',
+    source: `        .ORG    $4200
+SETA    MACRO   VALUE
+        NOP
+        LD      A, VALUE
+        ENDM
+REC     MACRO
+        REC
+        ENDM
+        SETA    300
+        SETA    1, 2
+        REC
+        NOSUCH  1
+        EXITM
+        ENDM
+OPEN    MACRO
+        NOP
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 9, Col 17: Value out of range: 300 (must be -128 to 255) (in macro SETA, line 4)',
+      'Line 10: Macro SETA takes 1 argument, got 2',
+      'Line 11: Macro REC nested more than 32 levels deep (recursive macro?) (in macro REC, line 7)',
+      'Line 12: Unknown instruction or macro: NOSUCH',
+      'Line 13: EXITM outside a macro',
+      'Line 14: ENDM without MACRO',
+      'Line 15: MACRO OPEN has no matching ENDM'
+    ]
+  },
+  {
+    id: 'conditionals',
+    name: 'Conditional Assembly',
+    description: 'Nested IF/ELSEIF/ELSE/ENDIF and IFDEF/IFNDEF; skipped blocks define no symbols',
+    source: `        .ORG    $4200
+DEBUG   .EQU    1
+MEMSIZE .EQU    16
+
+        IF MEMSIZE >= 48
+        .DB     48
+        ELSEIF MEMSIZE >= 16
+        .DB     16                  ; 10
+          IFDEF DEBUG
+TRACE:    .DB   $DD                 ; DD
+            IF 0
+HIDDEN:     .DB 0
+            ENDIF
+          ELSE
+NOTRACE:  .DB   $EE
+          ENDIF
+        ELSEIF MEMSIZE >= 4
+        .DB     4
+        ELSE
+        .DB     0
+        ENDIF
+
+        IFNDEF RELEASE
+        .DB     DEFINED(HIDDEN), DEFINED(NOTRACE), DEFINED(TRACE)   ; 00 00 01
+        ENDIF
+        IF DEFINED(RELEASE) || MEMSIZE < 16
+        .DB     $FF
+        ENDIF
+        .END`,
+    expectedBytes: [0x10, 0xDD, 0x00, 0x00, 0x01],
+    expectedSymbols: { DEBUG: 1, MEMSIZE: 16, TRACE: 0x4201 }
+  },
+  {
+    id: 'conditional-macros',
+    name: 'Conditionals in Macros',
+    description: 'IFB/IFNB test for blank macro arguments; IF works on parameters',
+    source: `        .ORG    $4200
+EMIT    MACRO   FIRST, SECOND
+        IFB     <SECOND>
+        .DB     FIRST
+        ELSE
+        .DB     FIRST, SECOND
+        ENDIF
+        IFNB    FIRST
+          IF FIRST > 5
+          .DB   $FF
+          EXITM
+          ENDIF
+        .DB     $00
+        ENDIF
+        ENDM
+
+        EMIT    1                   ; 01 00
+        EMIT    2, 3                ; 02 03 00
+        EMIT    9                   ; 09 FF
+        .END`,
+    expectedBytes: [0x01, 0x00, 0x02, 0x03, 0x00, 0x09, 0xFF],
+    expectedSymbols: {}
+  },
+  {
+    id: 'conditional-errors',
+    name: 'Conditional Assembly Errors',
+    description: 'Unbalanced blocks are reported at the line that opened them',
+    source: `        .ORG    $4200
+        IF 1
+        ELSE
+        ELSE
+        ENDIF
+        ENDIF
+OPEN    MACRO
+        IFDEF OPEN
+        ENDM
+        OPEN
+        IF 1
+LABEL:  IF 1
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 4: ELSE after ELSE',
+      'Line 6: ENDIF without IF',
+      'Line 10: IFDEF without ENDIF (in macro OPEN, line 8)',
+      'Line 12: IF cannot follow a label',
+      'Line 11: IF without ENDIF'
+    ]
+  },
+  {
+    id: 'conditional-after-label',
+    name: 'Conditional After a Label',
+    description: 'IF after a label is reported once; its ENDIF still closes it',
+    source: `        .ORG    $4200
+DONE:   IF 1
+        NOP
+        ENDIF
+        .END`,
+    expectedBytes: [],
+    expectedErrors: ['Line 2: IF cannot follow a label'],
+    expectedErrorCount: 1
+  },
+  {
+    id: 'repeat-blocks',
+    name: 'Repeat Blocks',
+    description: 'REPT, IRP and IRPC expand their bodies with a counter symbol; LOCAL labels are unique per repetition',
+    source: `        .ORG    $4200
+
+START:  LD      HL, DIGITS          ; 21 0E 42 - forward, past the repeated lines
+SQUARES:
+        REPT    4, N
+        .DB     N * N               ; 00 01 04 09
+        ENDR
+
+        IRP     REGPAIR, <BC, DE, HL>
+        PUSH    REGPAIR             ; C5 D5 E5
+        ENDR
+
+        REPT    2
+        LOCAL   SPIN
+SPIN:   DJNZ    SPIN                ; 10 FE, twice
+        ENDR
+
+DIGITS: IRPC    CH, "012", POS
+        .DB     CH, POS             ; 30 00 31 01 32 02
+        ENDR
+
+        IRP     VALUE, <$10, (1 + 2) * 3, LAST - START>
+        .DB     VALUE               ; 10 09 19
+        ENDR
+        REPT    COUNT
+          REPT  2
+          .DB   $AA
+          ENDR
+        ENDR
+LAST:
+COUNT   .EQU    1                   ; forward: the passes repeat until LAST settles
+        .DB     SIZEOF(SQUARES)     ; 04
+        .END`,
+    expectedBytes: [
+      0x21, 0x0E, 0x42, 0x00, 0x01, 0x04, 0x09, 0xC5, 0xD5, 0xE5,
+      0x10, 0xFE, 0x10, 0xFE, 0x30, 0x00, 0x31, 0x01, 0x32, 0x02,
+      0x10, 0x09, 0x19, 0xAA, 0xAA, 0x04
+    ],
+    expectedSymbols: { START: 0x4200, SQUARES: 0x4203, DIGITS: 0x420E, LAST: 0x4219, N: 3, POS: 2 }
+  },
+  {
+    id: 'repeat-counter-operands',
+    name: 'Repeat Counters as Operands',
+    description: 'A REPT/IRP counter or redefined .DEFL symbol used as a whole operand has its value on that line',
+    source: `        .ORG    $4200
+        REPT    3, N
+        LD      A, N            ; 3E 00 / 3E 01 / 3E 02
+        LD      (IX+N), A       ; DD 77 00 / 01 / 02
+        ENDR
+        IRP     V, <1, 2>, K
+        LD      B, K            ; 06 00 / 06 01
+        ENDR
+COUNT   .DEFL   5
+        LD      HL, COUNT       ; 21 05 00
+COUNT   .DEFL   COUNT + 1
+        LD      HL, COUNT       ; 21 06 00
+        .END`,
+    expectedBytes: [
+      0x3E, 0x00, 0xDD, 0x77, 0x00, 0x3E, 0x01, 0xDD, 0x77, 0x01, 0x3E, 0x02, 0xDD, 0x77, 0x02,
+      0x06, 0x00, 0x06, 0x01, 0x21, 0x05, 0x00, 0x21, 0x06, 0x00
+    ]
+  },
+  {
+    id: 'repeat-errors',
+    name: 'Repeat Block Errors',
+    description: 'A bad first line skips the whole block; errors point at the opening line',
+    source: `        .ORG    $4200
+        IRP     X, 1, 2
+        .DB     X
+        ENDR
+        IRPC    X, 12
+        ENDR
+        REPT    -1
+        ENDR
+        ENDR
+        REPT    2
+        .DB     1
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: IRP expects a list in < >',
+      'Line 5: IRPC expects a string',
+      'Line 7: REPT count out of range: -1 (must be 0 to 65535)',
+      'Line 9: ENDR without REPT, IRP or IRPC',
+      'Line 10: REPT has no matching ENDR'
+    ]
+  },
+  {
+    id: 'include-files',
+    name: 'INCLUDE from Disk',
+    description: 'INCLUDE reads files relative to the including file; nested includes and macros in them work',
+    options: { fileResolver: createNodeResolver(FIXTURES) },
+    fileName: 'main.asm',
+    source: `        .ORG    $4200
+        INCLUDE "screen.inc"        ; includes lib/consts.inc
+
+START:  CLEAR                       ; 21 00 3C 01 00 04 3E 20 CD 0C 42
+        HALT                        ; 76
+FILLMEM:
+        RET                         ; C9
+        .END`,
+    expectedBytes: [0x21, 0x00, 0x3C, 0x01, 0x00, 0x04, 0x3E, 0x20, 0xCD, 0x0C, 0x42, 0x76, 0xC9],
+    expectedSymbols: { SCREEN: 0x3C00, SCRSIZE: 0x0400, BLANK: 0x20, START: 0x4200, FILLMEM: 0x420C }
+  },
+  {
+    id: 'include-memory',
+    name: 'INCLUDE from Memory',
+    description: 'The browser include files, served by the in-memory resolver',
+    options: { fileResolver: createMemoryResolver(INCLUDE_FILES) },
+    source: `        INCLUDE "model3.inc"
+        .ORG    USERRAM
+START:  LD      HL, VRAM + VCOLS    ; 21 40 3C
+        CALL    KBWAIT              ; CD 49 00
+        JP      DSPCHR              ; C3 33 00
+        .END`,
+    expectedBytes: [0x21, 0x40, 0x3C, 0xCD, 0x49, 0x00, 0xC3, 0x33, 0x00],
+    expectedSymbols: { START: 0x4200, VRAM: 0x3C00, KBWAIT: 0x0049 }
+  },
+  {
+    id: 'include-errors',
+    name: 'INCLUDE Errors',
+    description: 'Errors in included files name the file; missing files and include cycles are reported',
+    options: {
+      fileResolver: createMemoryResolver({
+        'bad.inc': '; bad.inc\n        LD      A, 300\n        IF 1\n',
+        'loop/a.inc': '        INCLUDE "b.inc"\n',
+        'loop/b.inc': '        INCLUDE "../loop/a.inc"\n',
+        'macros.inc': 'LOADA   MACRO   VALUE\n        LD      A, VALUE\n        ENDM\n'
+      })
+    },
+    fileName: 'main.asm',
+    source: `        .ORG    $4200
+        INCLUDE "bad.inc"
+        INCLUDE "missing.inc"
+        INCLUDE "loop/a.inc"
+        INCLUDE "macros.inc"
+        LOADA   999
+        INCLUDE macros.inc
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'bad.inc, Line 2, Col 20: Value out of range: 300 (must be -128 to 255)',
+      'bad.inc, Line 3: IF without ENDIF',
+      'main.asm, Line 3: File not found: missing.inc',
+      'loop/b.inc, Line 1: Include cycle: main.asm -> loop/a.inc -> loop/b.inc -> loop/a.inc',
+      'main.asm, Line 6, Col 17: Value out of range: 999 (must be -128 to 255) (in macro LOADA, macros.inc line 2)',
+      'main.asm, Line 7: INCLUDE expects a file name in quotes'
+    ]
+  },
+  {
+    id: 'incbin',
+    name: 'INCBIN',
+    description: 'INCBIN inserts all or part of a binary file; labels after it land past its bytes',
+    options: { fileResolver: createNodeResolver(REPO_ROOT) },
+    source: `        .ORG    $4200
+START:  LD      HL, AFTER           ; 21 10 7A - forward, past 14K of ROM
+        LD      BC, SIZEOF(ROM)     ; 01 00 38
+ROM:    INCBIN  "roms/model3.rom"   ; the whole 14336-byte image
+ENTRY:  INCBIN  "roms/model3.rom", 0, 5          ; F3 AF C3 15 30
+        INCBIN  "roms/model3.rom", $33, ENDLEN   ; 11 1D 40 18
+        INCBIN  "roms/model3.rom", $37FF         ; the last byte
+AFTER:  .DB     SIZEOF(ENTRY)       ; 0A - the three INCBIN lines
+ENDLEN  .EQU    4
+        .END`,
+    expectedBytes: [
+      0x21, 0x10, 0x7A, 0x01, 0x00, 0x38, ...ROM,
+      0xF3, 0xAF, 0xC3, 0x15, 0x30, 0x11, 0x1D, 0x40, 0x18, ROM[0x37FF], 0x0A
+    ],
+    expectedSymbols: { START: 0x4200, ROM: 0x4206, ENTRY: 0x7A06, AFTER: 0x7A10 },
+    expectedInstructions: [{}, {}, { label: 'ROM' }, { label: 'ENTRY' }, { label: null }]
+  },
+  {
+    id: 'incbin-errors',
+    name: 'INCBIN Errors',
+    description: 'Offsets and lengths must lie inside the file, and the file must exist',
+    options: { fileResolver: createNodeResolver(REPO_ROOT) },
+    source: `        .ORG    $4200
+        INCBIN  "roms/model3.rom", 14337
+        INCBIN  "roms/model3.rom", $3800, 1
+        INCBIN  "roms/model3.rom", -1
+        INCBIN  "roms/missing.rom"
+        INCBIN  roms
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: INCBIN offset out of range: 14337 (roms/model3.rom has 14336 bytes)',
+      'Line 3: INCBIN length out of range: 1 (0 bytes after offset 14336)',
+      'Line 4: INCBIN offset out of range: -1',
+      'Line 5: File not found: roms/missing.rom',
+      'Line 6: INCBIN expects a file name in quotes'
+    ]
+  },
+  {
+    id: 'local-labels',
+    name: 'Local Labels',
+    description: '.local labels belong to the last global label and are reachable from outside as PARENT.local',
+    source: `        .ORG    $4200
+OUTER:  LD      B, 3            ; 06 03
+.loop:  LD      C, 2            ; 0E 02
+.inner: DEC     C               ; 0D
+        JR      NZ, .inner      ; 20 FD
+        DJNZ    .loop           ; 10 F9
+        JP      OTHER.loop      ; C3 0D 42 - another label's local
+OTHER:  XOR     A               ; AF
+.loop:  INC     A               ; 3C - same name, new parent
+        CP      10              ; FE 0A
+        JR      C, .loop        ; 38 FB
+        JP      OUTER.loop      ; C3 02 42
+        .END`,
+    expectedBytes: [
+      0x06, 0x03, 0x0E, 0x02, 0x0D, 0x20, 0xFD, 0x10, 0xF9, 0xC3, 0x0D, 0x42,
+      0xAF, 0x3C, 0xFE, 0x0A, 0x38, 0xFB, 0xC3, 0x02, 0x42
+    ],
+    expectedSymbols: {
+      OUTER: 0x4200, 'OUTER.LOOP': 0x4202, 'OUTER.INNER': 0x4204, OTHER: 0x420C, 'OTHER.LOOP': 0x420D
+    },
+    expectedSymbolTable: [
+      'OUTER          4200   LABEL',
+      '  .LOOP        4202   LABEL',
+      '  .INNER       4204   LABEL',
+      'OTHER          420C   LABEL',
+      '  .LOOP        420D   LABEL'
+    ].join('\n')
+  },
+  {
+    id: 'anonymous-labels',
+    name: 'Anonymous and Numeric Labels',
+    description: '@b/@f jump to the nearest @@ label before/after; 1b/1f to the nearest 1: label',
+    source: `        .ORG    $4200
+START:  LD      B, 4            ; 06 04
+@@:     DEC     B               ; 05
+        JR      Z, @f           ; 28 02
+        JR      @b              ; 18 FB
+@@:     LD      A, 5            ; 3E 05
+1:      DEC     A               ; 3D
+        JR      Z, 1f           ; 28 02
+        JR      1b              ; 18 FB
+1:      JR      @b              ; 18 F7
+        .DW     1b, 1f          ; 0E 42 14 42
+1:      RET                     ; C9
+        .END`,
+    expectedBytes: [
+      0x06, 0x04, 0x05, 0x28, 0x02, 0x18, 0xFB, 0x3E, 0x05, 0x3D, 0x28, 0x02, 0x18, 0xFB,
+      0x18, 0xF7, 0x0E, 0x42, 0x14, 0x42, 0xC9
+    ],
+    expectedSymbols: { START: 0x4200, '@@1': 0x4202, '@@2': 0x4207, '1@1': 0x4209, '1@2': 0x420E, '1@3': 0x4214 }
+  },
+  {
+    id: 'numeric-binary-labels',
+    name: 'Numeric Labels That Look Binary',
+    description: '10b refers to a 10: label before it; without 10: labels, or with a leading zero, it is binary',
+    source: `        .ORG    $4200
+10:     NOP                     ; 00
+        JR      10b             ; 18 FD
+        JP      10b             ; C3 00 42
+        LD      A, 100b         ; 3E 04 - no 100: label
+1:      LD      A, 01b          ; 3E 01 - a leading zero is always binary
+        LD      A, 010b         ; 3E 02
+        .END`,
+    expectedBytes: [0x00, 0x18, 0xFD, 0xC3, 0x00, 0x42, 0x3E, 0x04, 0x3E, 0x01, 0x3E, 0x02]
+  },
+  {
+    id: 'local-label-errors',
+    name: 'Local Label Errors',
+    description: 'References to missing @@ and numeric labels are reported in the terms of the source',
+    source: `        .ORG    $4200
+        JR      @b
+        JR      2b
+        JR      @f
+        JR      3F
+@@      NOP
+START:  JR      .missing
+        JR      11b
+11:     NOP
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: @b has no @@ label before it',
+      'Line 3: 2b has no 2: label before it',
+      'Line 4: @f has no @@ label after it',
+      'Line 5: 3F has no 3: label after it',
+      'Line 6: @@ is a label definition; refer to it with @B or @F',
+      'Line 7, Col 9: Undefined symbol: START.MISSING',
+      'Line 8: 11b has no 11: label before it (write %11 for the binary number)'
+    ]
+  },
+  {
+    id: 'modules',
+    name: 'Modules and Procedures',
+    description: 'Labels in MODULE and PROC blocks are prefixed with the scope name; PUBLIC names stay global',
+    source: `        .ORG    $4200
+        MODULE  VIDEO
+SCREEN  .EQU    $3C00
+CLEAR:  LD      HL, SCREEN      ; 21 00 3C
+        LD      B, 0            ; 06 00
+.loop:  LD      (HL), $20       ; 36 20
+        INC     HL              ; 23
+        DJNZ    .loop           ; 10 FB
+        RET                     ; C9
+        ENDMODULE
+
+        MODULE  KEYS
+        PUBLIC  WAITKEY
+WAITKEY PROC
+LOOP:   CALL    $002B           ; CD 2B 00
+        OR      A               ; B7
+        JR      Z, LOOP         ; 28 FA
+        RET                     ; C9
+WAITKEY ENDP
+        PROC    FLUSH
+LOOP:   CALL    $002B           ; CD 2B 00 - a LOOP of its own
+        JR      NZ, LOOP        ; 20 FB
+        RET                     ; C9
+        ENDP
+        ENDMODULE
+
+START:  CALL    VIDEO.CLEAR     ; CD 00 42
+        CALL    WAITKEY         ; CD 0B 42
+        JP      KEYS.FLUSH.LOOP ; C3 12 42
+        .END`,
+    expectedBytes: [
+      0x21, 0x00, 0x3C, 0x06, 0x00, 0x36, 0x20, 0x23, 0x10, 0xFB, 0xC9,
+      0xCD, 0x2B, 0x00, 0xB7, 0x28, 0xFA, 0xC9,
+      0xCD, 0x2B, 0x00, 0x20, 0xFB, 0xC9,
+      0xCD, 0x00, 0x42, 0xCD, 0x0B, 0x42, 0xC3, 0x12, 0x42
+    ],
+    expectedSymbols: {
+      'VIDEO.SCREEN': 0x3C00, 'VIDEO.CLEAR': 0x4200, 'VIDEO.CLEAR.LOOP': 0x4205,
+      WAITKEY: 0x420B, 'KEYS.WAITKEY.LOOP': 0x420B,
+      'KEYS.FLUSH': 0x4212, 'KEYS.FLUSH.LOOP': 0x4212, START: 0x4218
+    },
+    expectedSymbolTable: [
+      'VIDEO.CLEAR    4200   LABEL',
+      '  .LOOP        4205   LABEL'
+    ].join('\n')
+  },
+  {
+    id: 'module-errors',
+    name: 'Module Errors',
+    description: 'Redefining a symbol in the same scope is an error; scopes must be closed in order',
+    source: `        .ORG    $4200
+        MODULE  A1
+X:      NOP
+X:      NOP
+        ENDMODULE
+X:      NOP
+        ENDP
+        PUBLIC  X
+        MODULE  B1
+Y:      NOP
+        PUBLIC  Y
+F1      PROC
+        ENDMODULE
+F2      ENDP
+        ENDP
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 4: Symbol A1.X already defined (line 3)',
+      'Line 7: ENDP without PROC',
+      'Line 8: PUBLIC is only allowed in a MODULE or PROC',
+      'Line 11: PUBLIC Y must come before Y is defined',
+      'Line 13: ENDMODULE inside PROC F1 (missing ENDP)',
+      'Line 14: F2 ENDP does not match PROC F1',
+      'Line 9: MODULE B1 without ENDMODULE'
+    ]
+  },
+  {
+    id: 'string-directives',
+    name: 'String Directives',
+    description: 'DEFM, .ASCII, .ASCIZ, .ASCIIT/DC and .PSTR, with C escapes and doubled quotes',
+    source: `        .ORG    $4200
+MSG:    DEFM    "Hi", 13            ; 48 69 0D
+        .ASCII  "AB"                ; 41 42
+NAME:   .ASCIZ  "OK"                ; 4F 4B 00
+KEYWDS: .ASCIIT "END"               ; 45 4E C4
+        DC      "IF"                ; 49 C6
+TITLE:  .PSTR   "Z80"               ; 03 5A 38 30
+ESC:    .ASCII  "a\\n\\r\\t\\0\\x7F\\\\\\""   ; 61 0A 0D 09 00 7F 5C 22
+QUOTES: .ASCII  'it''s', "say ""hi"""   ; 69 74 27 73 73 61 79 20 22 68 69 22
+AFTER:  .DB     SIZEOF(MSG), SIZEOF(TITLE)  ; 05 04
+        .END`,
+    expectedBytes: [
+      0x48, 0x69, 0x0D, 0x41, 0x42, 0x4F, 0x4B, 0x00, 0x45, 0x4E, 0xC4, 0x49, 0xC6,
+      0x03, 0x5A, 0x38, 0x30, 0x61, 0x0A, 0x0D, 0x09, 0x00, 0x7F, 0x5C, 0x22,
+      0x69, 0x74, 0x27, 0x73, 0x73, 0x61, 0x79, 0x20, 0x22, 0x68, 0x69, 0x22, 0x05, 0x04
+    ],
+    expectedSymbols: { MSG: 0x4200, NAME: 0x4205, KEYWDS: 0x4208, TITLE: 0x420D, ESC: 0x4211, QUOTES: 0x4219, AFTER: 0x4225 }
+  },
+  {
+    id: 'string-errors',
+    name: 'String Directive Errors',
+    description: 'A .PSTR string longer than 255 bytes and out-of-range byte values are errors',
+    source: `        .ORG    $4200
+        .PSTR   "${'X'.repeat(256)}"
+        .ASCIZ  "A", 300
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: .PSTR string too long: 256 bytes (at most 255)',
+      'Line 3, Col 22: Value out of range: 300 (must be -128 to 255)'
+    ]
+  },
+  {
+    id: 'number-literals',
+    name: 'Number Literals and Character Constants',
+    description: '0x/0b prefixes, B/O/Q suffixes, _ separators and character constants in expressions',
+    source: `        .ORG    $4200
+        LD      A, 'A'          ; 3E 41
+        LD      B, "z" - 'a'    ; 06 19
+        CP      '0' + 9         ; FE 39
+        .DB     0xFF, 0b1010, 1010B, 17O, 17Q, 0FFH     ; FF 0A 0A 0F 0F FF
+        .DB     %1010_0101, 1_0, 'A'+1, "AB"            ; A5 0A 42 41 42
+        .DW     $FF_FF, 0X1234, 0B1111_0000_1111_0000   ; FF FF 34 12 F0 F0
+1:      DJNZ    1b              ; 10 FE - still a label reference
+        .END`,
+    expectedBytes: [
+      0x3E, 0x41, 0x06, 0x19, 0xFE, 0x39,
+      0xFF, 0x0A, 0x0A, 0x0F, 0x0F, 0xFF,
+      0xA5, 0x0A, 0x42, 0x41, 0x42,
+      0xFF, 0xFF, 0x34, 0x12, 0xF0, 0xF0,
+      0x10, 0xFE
+    ]
+  },
+  {
+    id: 'number-errors',
+    name: 'Malformed Number Errors',
+    description: 'Malformed literals are lexer errors, reported once, and strings in expressions must be one character',
+    source: `        .ORG    $4200
+        LD      A, 12G
+        LD      A, $G1
+        .DB     0x, %
+        LD      A, 'AB'
+        .DB     1__0
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2, Col 20: Invalid number: 12G',
+      'Line 3, Col 20: Invalid number: $G1',
+      'Line 4, Col 17: Invalid number: 0x',
+      'Line 4, Col 21: Invalid number: %',
+      'Line 5: Character constant must be one character: "AB"',
+      'Line 6, Col 17: Invalid number: 1__0'
+    ]
+  },
+  {
+    id: 'charmaps',
+    name: 'Character Maps',
+    description: '.CHARMAP selects the ASCII, Model III or Model I map, or maps characters of its own',
+    source: `        .ORG    $4200
+        .DB     "Ab"            ; 41 62 - ASCII by default
+        .CHARMAP MODEL1
+        .DB     "Ab", 'z'       ; 41 42 5A - no lowercase
+        LD      A, 'q'          ; 3E 51
+        .CHARMAP MODEL3
+        .DB     "b█▌▐🬀", "\\x7F"  ; 62 BF 95 AA 81 7F - block graphics
+        .CHARMAP "@", $80       ; the blank graphics block
+        .ASCIZ  "a@"            ; 61 80 00
+        .CHARMAP "ÄÖ", $5B
+        .DB     "ÖÄ"            ; 5C 5B
+        .CHARMAP ASCII
+        .DB     '@', "\\xE9"     ; 40 E9 - \\x is a raw byte in any map
+        .END`,
+    expectedBytes: [
+      0x41, 0x62, 0x41, 0x42, 0x5A, 0x3E, 0x51,
+      0x62, 0xBF, 0x95, 0xAA, 0x81, 0x7F, 0x61, 0x80, 0x00, 0x5C, 0x5B, 0x40, 0xE9
+    ]
+  },
+  {
+    id: 'charmap-errors',
+    name: 'Character Map Errors',
+    description: 'Characters the current map has no byte for are errors, as are unknown maps',
+    source: `        .ORG    $4200
+        .DB     "é"
+        .CHARMAP MODEL1
+        .DB     "{"
+        LD      A, '~'
+        .CHARMAP EBCDIC
+        .CHARMAP "xy", $FF
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: Character "é" is not in charmap ASCII',
+      'Line 4: Character "{" is not in charmap MODEL1',
+      'Line 5: Character "~" is not in charmap MODEL1',
+      'Line 6: Unknown charmap: EBCDIC (expected ASCII, MODEL3, MODEL1)',
+      'Line 7, Col 24: Value out of range: 255 (must be 0 to 254)'
+    ]
+  },
+  {
+    id: 'structs',
+    name: 'Structures',
+    description: 'STRUCT defines name.field offsets and name.SIZE; an instance emits the defaults with field values',
+    source: `        .ORG    $4200
+PLAYER  STRUCT
+NAME    .DS     4
+SCORE:  .DW     100
+LIVES   .DB     3
+        .DS     1               ; unnamed padding
+PLAYER  ENDS
+        LD      IX, P2
+        LD      A, (IX+PLAYER.LIVES)    ; DD 7E 06
+        LD      BC, PLAYER.SIZE         ; 01 08 00
+P1:     PLAYER                          ; 00 00 00 00 64 00 03 00
+P2:     PLAYER  "ANN",,5                ; 41 4E 4E 00 64 00 05 00
+P3:     PLAYER  SCORE = $1234, 9        ; 00 00 00 00 34 12 09 00
+        LD      A, SIZEOF(P1)           ; 3E 08
+        STRUCT  POINT
+X       .DB     1
+Y       .DB     2
+        ENDS
+        MODULE  GAME
+ORIGIN: POINT   $10                     ; 10 02
+        ENDMODULE
+TAG     STRUCT
+TEXT    .DB     "----"
+        ENDS
+        TAG     "AB"                    ; 41 42 2D 2D - the rest of the default
+        TAG     TEXT = "XYZ"            ; 58 59 5A 2D`,
+    expectedBytes: [
+      0xDD, 0x21, 0x12, 0x42, 0xDD, 0x7E, 0x06, 0x01, 0x08, 0x00,
+      0x00, 0x00, 0x00, 0x00, 0x64, 0x00, 0x03, 0x00,
+      0x41, 0x4E, 0x4E, 0x00, 0x64, 0x00, 0x05, 0x00,
+      0x00, 0x00, 0x00, 0x00, 0x34, 0x12, 0x09, 0x00,
+      0x3E, 0x08, 0x10, 0x02, 0x41, 0x42, 0x2D, 0x2D, 0x58, 0x59, 0x5A, 0x2D
+    ],
+    expectedSymbolTable: [
+      'PLAYER         0008   STRUCT',
+      '  .NAME        0000   EQU',
+      '  .SCORE       0004   EQU',
+      '  .LIVES       0006   EQU',
+      '  .SIZE        0008   EQU'
+    ].join('\n')
+  },
+  {
+    id: 'struct-errors',
+    name: 'Structure Errors',
+    description: 'Non-field lines in a STRUCT, values that do not fit and unbalanced STRUCT/ENDS are errors',
+    source: `        .ORG    $4200
+REC     STRUCT
+NAME    .DS     2
+        LD      A, 1
+FLAG    .DB     0
+        ENDS
+        REC     "ANN"
+        REC     1, 2, 3
+        ENDS
+        STRUCT
+        ENDS
+POINT   STRUCT
+X       .DB     0
+PT      ENDS
+        POINT   X =
+OPEN    STRUCT`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 4: Expected .DB, .DW or .DS field in STRUCT REC',
+      'Line 7: Value for REC.NAME is 3 bytes; the field has 2',
+      'Line 8: Too many values for STRUCT REC (2 fields)',
+      'Line 9: ENDS without STRUCT',
+      'Line 10: Expected structure name before or after STRUCT',
+      'Line 14: PT ENDS does not match STRUCT POINT',
+      'Line 15: Missing value for POINT.X after =',
+      'Line 16: STRUCT OPEN has no matching ENDS'
+    ]
+  },
+  {
+    id: 'enums',
+    name: 'Enumerations',
+    description: 'ENUM numbers its names from a start value by a step; name = value restarts the numbering',
+    source: `        .ORG    $4200
+        ENUM                    ; 0, 1, ...
+IDLE
+PLAYING
+OVER    = 10
+PAUSED                          ; 11
+        ENDE
+        ENUM    $80, 2
+KEY_UP
+KEY_DOWN                        ; $82
+        ENDE
+START:  LD      A, PAUSED       ; 3E 0B
+        CP      KEY_DOWN        ; FE 82
+        MODULE  CARDS
+        ENUM    1
+HEARTS
+SPADES  = HEARTS + 3
+        ENDE
+        ENDMODULE
+        LD      A, CARDS.SPADES ; 3E 04
+        .END`,
+    expectedBytes: [0x3E, 0x0B, 0xFE, 0x82, 0x3E, 0x04],
+    expectedSymbols: { IDLE: 0, PLAYING: 1, OVER: 10, PAUSED: 11, KEY_UP: 0x80, KEY_DOWN: 0x82, 'CARDS.SPADES': 4 },
+    expectedSymbolTable: [
+      'START          4200   LABEL',
+      'IDLE           0000   ENUM',
+      'PLAYING        0001   ENUM',
+      'OVER           000A   ENUM',
+      'PAUSED         000B   ENUM',
+      'KEY_UP         0080   ENUM',
+      'KEY_DOWN       0082   ENUM',
+      'CARDS.HEARTS   0001   ENUM',
+      'CARDS.SPADES   0004   ENUM'
+    ].join('\n')
+  },
+  {
+    id: 'enum-errors',
+    name: 'Enumeration Errors',
+    description: 'ENUM lines other than name or name = value, and unbalanced ENUM/ENDE, are errors',
+    source: `        .ORG    $4200
+        ENUM    1 2
+ONE
+        ENDE
+        ENUM
+RED GREEN
+3
+BLUE    = UNDEFINED
+        ENDE
+        ENDE
+        ENUM`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: Unexpected 2 in expression',
+      'Line 6: Unexpected GREEN after RED in ENUM',
+      'Line 7: Expected name or name = value in ENUM, got 3',
+      'Line 8: Undefined symbol: UNDEFINED',
+      'Line 10: ENDE without ENUM',
+      'Line 11: ENUM has no matching ENDE'
+    ]
+  },
+  {
+    id: 'assertions',
+    name: 'Assertions and Warnings',
+    description: 'ASSERT passes when its expression is true with final addresses; .WARNING reports its text',
+    source: `        .ORG    $4200
+        ASSERT  DONE < $7FFF, "program must end below $7FFF"
+        ASSERT  HIGH(TABLE) == HIGH(TABLE_END - 1)  ; within one page
+TABLE:  .DB     1, 2, 3
+TABLE_END:
+        IF      TABLE_END - TABLE > 2
+        .WARNING "TABLE is longer than 2 bytes"
+        ENDIF
+        IF      0
+        .ERROR  "not assembled"
+        ENDIF
+DONE:   RET
+        .END`,
+    expectedBytes: [0x01, 0x02, 0x03, 0xC9],
+    expectedWarnings: ['Line 7, Col 9: TABLE is longer than 2 bytes']
+  },
+  {
+    id: 'assertion-errors',
+    name: 'Assertion Errors',
+    description: 'A false ASSERT reports its message or expression; .ERROR reports its text, at the directive',
+    source: `        .ORG    $4280
+        ASSERT  DONE < $4201, "program must end below $4201"
+        ASSERT  HIGH(TABLE) == HIGH(TABLE_END - 1)
+TABLE:  .DS     $100
+TABLE_END:
+        IF      TABLE_END - TABLE > $80
+        .ERROR  "TABLE is too long"
+        ENDIF
+        ASSERT  UNDEFINED
+        .ERROR
+DONE:   RET
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2, Col 9: Assertion failed: program must end below $4201',
+      'Line 3, Col 9: Assertion failed: HIGH(TABLE) == HIGH(TABLE_END - 1)',
+      'Line 7, Col 9: TABLE is too long',
+      'Line 9: Undefined symbol: UNDEFINED',
+      'Line 10: .ERROR expects a message string'
+    ]
+  },
+  {
+    id: 'fill-align',
+    name: 'Fill and Alignment',
+    description: 'DS with a fill byte, FILL of bytes or words and ALIGN to a power of two, each emitted as one block',
+    source: `        .ORG    $4200
+        NOP                     ; 00
+        ALIGN   4               ; 00 00 00
+BAR:    DS      3, $FF          ; FF FF FF
+        .FILL   2, $1234, 2     ; 34 12 34 12
+        FILL    3, 'A'          ; 41 41 41 - FILL where a directive goes
+        ALIGN   16, $EE         ; EE EE
+TABLE:  .DB     TABLE & $FF     ; 10
+        LD      A, SIZEOF(BAR)  ; 3E 0A
+        DS      2               ; 00 00
+        ALIGN   1
+PAD     FILL    2, $55          ; 55 55
+FILL:   DEC     A               ; 3D - and a label elsewhere
+        JR      NZ, FILL        ; 20 FD
+        .END`,
+    expectedBytes: [
+      0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x34, 0x12, 0x34, 0x12, 0x41, 0x41, 0x41, 0xEE, 0xEE,
+      0x10, 0x3E, 0x0A, 0x00, 0x00, 0x55, 0x55, 0x3D, 0x20, 0xFD
+    ],
+    expectedSymbols: { BAR: 0x4204, TABLE: 0x4210, PAD: 0x4215, FILL: 0x4217 },
+    expectedInstructionCount: 12,
+    expectedInstructions: [{}, { label: null }, { label: 'BAR' }, {}, {}, {}, {}, {}, {}, { label: 'PAD' }]
+  },
+  {
+    id: 'large-ds',
+    name: 'Large DS',
+    description: 'DS 16384 is a single block of reserved bytes',
+    source: `        .ORG    $4200
+BUFFER: DS      16384
+        RET
+        .END`,
+    expectedBytes: [...new Array(16384).fill(0), 0xC9],
+    expectedInstructionCount: 2
+  },
+  {
+    id: 'directive-names-as-labels',
+    name: 'Directive Names as Labels',
+    description: 'ALIGN, MODULE, PROC, ENUM, IF and the other new dotless directives are labels outside directive position',
+    source: `        .ORG    $4200
+ALIGN:  NOP                     ; 00
+MODULE  .EQU    3
+PROC:   LD      A, MODULE       ; 3E 03
+        JP      ALIGN           ; C3 00 42
+        CALL    PROC            ; CD 01 42
+ENUM    .DB     7               ; 07
+        LD      HL, ENUM        ; 21 09 42
+        ALIGN   4               ; 00 00 00 - still a directive first on the line
+IF:     DEC     A               ; 3D
+        JR      NZ, IF          ; 20 FD
+SETB    MACRO   V
+        .DB     V
+        ENDM
+        SETB    ASSERT          ; 05 - a macro argument
+ASSERT  .EQU    5
+        .END`,
+    expectedBytes: [
+      0x00, 0x3E, 0x03, 0xC3, 0x00, 0x42, 0xCD, 0x01, 0x42, 0x07, 0x21, 0x09, 0x42,
+      0x00, 0x00, 0x00, 0x3D, 0x20, 0xFD, 0x05
+    ],
+    expectedSymbols: { ALIGN: 0x4200, MODULE: 3, PROC: 0x4201, ENUM: 0x4209, IF: 0x4210, ASSERT: 5 }
+  },
+  {
+    id: 'fill-errors',
+    name: 'Fill and Alignment Errors',
+    description: 'Boundaries that are not powers of two, bad widths and counts, and fill values out of range',
+    source: `        .ORG    $4200
+        ALIGN   3
+        .FILL   2, 1, 3
+        .DS     -1
+        .FILL   1
+        .DS     1, 300
+        .FILL   1, $12345, 2
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: ALIGN boundary must be a power of two from 1 to 32768, got 3',
+      'Line 3: .FILL width must be 1 or 2, got 3',
+      'Line 4: .DS count out of range: -1 (must be 0 to 65535)',
+      'Line 5: .FILL expects count,value',
+      'Line 6, Col 20: Value out of range: 300 (must be -128 to 255)',
+      'Line 7, Col 20: Value out of range: 74565 (must be -32768 to 65535)'
+    ]
+  },
+  {
+    id: 'phase',
+    name: 'Phased Code',
+    description: 'Inside .PHASE labels and $ take the run address while the bytes follow on at the load address',
+    source: `        .ORG    $4200
+LOADER: LD      HL, CODE        ; 21 0B 42
+        LD      DE, RUN         ; 11 00 F0
+        LD      BC, CODE_END - CODE  ; 01 0B 00
+        LDIR                    ; ED B0
+CODE:
+        .PHASE  $F000
+RUN:    LD      A, (COUNT)      ; 3A 0A F0
+.LOOP:  DEC     A               ; 3D
+        JR      NZ, .LOOP       ; 20 FD
+        LD      HL, $           ; 21 06 F0
+        RET                     ; C9
+COUNT:  .DB     5               ; 05
+        .DEPHASE
+CODE_END:
+        JP      RUN             ; C3 00 F0
+        .END`,
+    expectedBytes: [
+      0x21, 0x0B, 0x42, 0x11, 0x00, 0xF0, 0x01, 0x0B, 0x00, 0xED, 0xB0,
+      0x3A, 0x0A, 0xF0, 0x3D, 0x20, 0xFD, 0x21, 0x06, 0xF0, 0xC9, 0x05,
+      0xC3, 0x00, 0xF0
+    ],
+    expectedSymbols: { CODE: 0x420B, RUN: 0xF000, 'RUN.LOOP': 0xF003, COUNT: 0xF00A, CODE_END: 0x4216 },
+    expectedInstructions: [
+      { address: 0x4200, loadAddress: 0x4200 },
+      { address: 0x4203, loadAddress: 0x4203 },
+      { address: 0x4206, loadAddress: 0x4206 },
+      { address: 0x4209, loadAddress: 0x4209 },
+      { address: 0xF000, loadAddress: 0x420B },
+      { address: 0xF003, loadAddress: 0x420E },
+      { address: 0xF004, loadAddress: 0x420F },
+      { address: 0xF006, loadAddress: 0x4211 },
+      { address: 0xF009, loadAddress: 0x4214 },
+      { address: 0xF00A, loadAddress: 0x4215 },
+      { address: 0x4216, loadAddress: 0x4216 }
+    ]
+  },
+  {
+    id: 'phase-dotless',
+    name: 'PHASE Without the Dot',
+    description: 'PHASE and DEPHASE work like .PHASE and .DEPHASE',
+    source: `        .ORG    $4200
+        PHASE   $F000
+RUN:    JP      RUN             ; C3 00 F0
+        DEPHASE
+AFTER:  JP      RUN             ; C3 00 F0
+        .END`,
+    expectedBytes: [0xC3, 0x00, 0xF0, 0xC3, 0x00, 0xF0],
+    expectedSymbols: { RUN: 0xF000, AFTER: 0x4203 }
+  },
+  {
+    id: 'phase-errors',
+    name: 'Phase Errors',
+    description: '.DEPHASE needs an open .PHASE, and .PHASE blocks neither nest nor stay open',
+    source: `        .ORG    $4200
+        .DEPHASE
+        .PHASE  $8000
+        NOP
+        .PHASE  $9000
+        .END`,
+    expectedBytes: [],
+    expectedErrors: [
+      'Line 2: .DEPHASE without .PHASE',
+      'Line 5: .PHASE inside .PHASE (missing .DEPHASE)',
+      'Line 3: .PHASE without .DEPHASE'
+    ]
+  }
+];
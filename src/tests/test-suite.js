@@ -1,5 +1,7 @@
 import { Z80Assembler } from '../assembler.js';
 import { EXAMPLE_PROGRAMS } from '../examples/programs.js';
+import { FEATURE_TESTS } from './feature-tests.js';
+import { formatErrors, formatSymbolTable } from '../utils/formatter.js';
 
 /**
  * Compare two byte arrays
@@ -53,12 +55,35 @@ function compareSymbols(actual, expected) {
   return { match: true };
 }
 
+/**
+ * Check that every expected message fragment appears in the reported messages
+ */
+function compareMessages(actual, expected) {
+  // Formatted as the CLI prints them, so fragments can include the location
+  const messages = actual.map(m => formatErrors([m]));
+  const missing = expected.filter(fragment => !messages.some(m => m.includes(fragment)));
+
+  if (missing.length > 0) {
+    return {
+      match: false,
+      message: `Missing: ${missing.join('; ')} (got: ${messages.join('; ') || 'none'})`
+    };
+  }
+
+  return { match: true };
+}
+
 /**
  * Test a single example program
  */
 function testExample(example, assembler) {
+  if (example.options || example.setup) {
+    assembler = new Z80Assembler(example.options);
+    example.setup?.(assembler); // e.g. register host functions
+  }
+
   const startTime = performance.now();
-  const result = assembler.assemble(example.source);
+  const result = assembler.assemble(example.source, { fileName: example.fileName });
   const endTime = performance.now();
   const duration = (endTime - startTime).toFixed(2);
 
@@ -76,6 +101,21 @@ function testExample(example, assembler) {
     result
   };
 
+  // Tests that expect errors pass only if assembly fails with those errors
+  if (example.expectedErrors) {
+    const errorsMatch = compareMessages(result.errors, example.expectedErrors);
+    if (result.success || !errorsMatch.match) {
+      testResult.passed = false;
+      testResult.errors.push(`Expected errors not reported: ${errorsMatch.message || 'assembly succeeded'}`);
+    }
+    // Check that one mistake is not reported again as others
+    if (example.expectedErrorCount !== undefined && result.errors.length !== example.expectedErrorCount) {
+      testResult.passed = false;
+      testResult.errors.push(`Error count mismatch: expected ${example.expectedErrorCount}, got ${result.errors.length} (${formatErrors(result.errors)})`);
+    }
+    return testResult;
+  }
+
   // Check for assembly errors
   if (!result.success || result.errors.length > 0) {
     testResult.passed = false;
@@ -103,6 +143,42 @@ function testExample(example, assembler) {
     }
   }
 
+  // Check the formatted symbol table contains the expected lines
+  if (example.expectedSymbolTable) {
+    const table = formatSymbolTable(result.symbolTable);
+    if (!table.includes(example.expectedSymbolTable)) {
+      testResult.passed = false;
+      testResult.errors.push(`Symbol table mismatch: expected\n${example.expectedSymbolTable}\ngot\n${table}`);
+    }
+  }
+
+  // Check how many IR entries the code became (e.g. one block for .DS)
+  if (example.expectedInstructionCount !== undefined && result.instructions.length !== example.expectedInstructionCount) {
+    testResult.passed = false;
+    testResult.errors.push(`Instruction count mismatch: expected ${example.expectedInstructionCount}, got ${result.instructions.length}`);
+  }
+
+  // Check fields of the assembled instructions (e.g. address and loadAddress in .PHASE)
+  if (example.expectedInstructions) {
+    example.expectedInstructions.forEach((expected, i) => {
+      const actual = result.instructions[i] ?? {};
+      const wrong = Object.keys(expected).filter(key => actual[key] !== expected[key]);
+      if (wrong.length > 0) {
+        testResult.passed = false;
+        testResult.errors.push(`Instruction ${i} mismatch: ${wrong.map(key => `${key} expected ${expected[key]}, got ${actual[key]}`).join(', ')}`);
+      }
+    });
+  }
+
+  // Check warnings
+  if (example.expectedWarnings) {
+    const warningsMatch = compareMessages(result.warnings, example.expectedWarnings);
+    if (!warningsMatch.match) {
+      testResult.passed = false;
+      testResult.errors.push(`Warning mismatch: ${warningsMatch.message}`);
+    }
+  }
+
   // Collect warnings
   if (result.warnings.length > 0) {
     testResult.warnings = result.warnings.map(w => w.message);
@@ -120,7 +196,7 @@ export function runTestSuite() {
 
   console.log('Running Z80 Assembler Test Suite...\n');
 
-  for (const example of EXAMPLE_PROGRAMS) {
+  for (const example of [...EXAMPLE_PROGRAMS, ...FEATURE_TESTS]) {
     const testResult = testExample(example, assembler);
     results.push(testResult);
 
@@ -85,18 +85,23 @@ export function formatMemoryDump(bytes, startAddress) {
  * Formats symbol table for display
  * 
  * Creates a sorted table of all symbols (labels, constants) with their
- * addresses and types. Symbols are sorted by address in ascending order.
+ * addresses and types. Symbols are sorted by address in ascending order,
+ * with .local labels listed under the global label they belong to. ENUM
+ * constants follow, each ENUM block together in the order it defines them.
  * 
  * Format:
  * ```
  * LABEL          ADDR   TYPE
  * -------------- ----   -----
- * START          4200   LABEL
  * VRAM           3C00   EQU
+ * START          4200   LABEL
+ *   .LOOP        4203   LABEL
  * RESULT         4209   LABEL
+ * IDLE           0000   ENUM
+ * PLAYING        0001   ENUM
  * ```
  * 
- * @param {Object.<string, {address: number, type: string}>} symbolTable - Symbol table from assembler
+ * @param {Object.<string, {address: number, type: string, parent?: string, enum?: number}>} symbolTable - Symbol table from assembler
  * @returns {string} Multi-line formatted symbol table
  * 
  * @example
@@ -113,16 +118,31 @@ export function formatSymbolTable(symbolTable) {
   lines.push('LABEL          ADDR   TYPE');
   lines.push('-------------- ----   -----');
   
-  // Sort entries by address (ascending)
-  const entries = Object.entries(symbolTable).sort((a, b) => {
+  // Sort entries by address (ascending); ENUM constants are listed last, by block
+  const entries = Object.entries(symbolTable).filter(([, entry]) => entry.type !== 'ENUM').sort((a, b) => {
     return a[1].address - b[1].address;
   });
+  const enums = Object.entries(symbolTable).filter(([, entry]) => entry.type === 'ENUM')
+    .sort((a, b) => a[1].enum - b[1].enum);
   
-  // Format each entry
-  for (const [name, entry] of entries) {
+  // Format each entry, followed by its local labels
+  const format = (name, entry) => {
     const addrStr = entry.address.toString(16).toUpperCase().padStart(4, '0');
     const paddedName = name.padEnd(14);
     lines.push(`${paddedName} ${addrStr}   ${entry.type}`);
+  };
+  const isNested = entry => entry.parent !== undefined && Object.hasOwn(symbolTable, entry.parent);
+  for (const [name, entry] of entries) {
+    if (isNested(entry)) continue;
+    format(name, entry);
+    for (const [localName, local] of entries) {
+      if (local.parent === name && isNested(local)) {
+        format('  ' + localName.slice(name.length), local);
+      }
+    }
+  }
+  for (const [name, entry] of enums) {
+    format(name, entry);
   }
   
   return lines.join('\n');
@@ -134,7 +154,7 @@ export function formatSymbolTable(symbolTable) {
  * Converts error objects into human-readable error messages with
  * line and column information.
  * 
- * @param {Array<{message: string, line: number, column?: number}>} errors - Array of error objects
+ * @param {Array<{message: string, line: number, column?: number, file?: string, macro?: string, macroLine?: number, macroFile?: string}>} errors - Array of error objects
  * @returns {string} Formatted error messages, one per line
  * 
  * @example
@@ -150,18 +170,40 @@ export function formatErrors(errors) {
   if (errors.length === 0) return 'No errors.';
   
   return errors.map(err => {
-    const loc = err.column ? `Line ${err.line}, Col ${err.column}` : `Line ${err.line}`;
-    return `${loc}: ${err.message}`;
+    return `${formatLocation(err)}: ${err.message}${formatExpansion(err)}`;
   }).join('\n');
 }
 
+/**
+ * File, line (and column) a diagnostic points at
+ *
+ * @param {{line: number, column?: number, file?: string}} diagnostic - Error or warning object
+ * @returns {string} e.g. "Line 5, Col 10" or "model3.inc, Line 5"
+ */
+function formatLocation(diagnostic) {
+  const line = diagnostic.column ? `Line ${diagnostic.line}, Col ${diagnostic.column}` : `Line ${diagnostic.line}`;
+  return diagnostic.file ? `${diagnostic.file}, ${line}` : line;
+}
+
+/**
+ * Suffix naming the macro a diagnostic was expanded from, if any
+ *
+ * @param {{macro?: string, macroLine?: number, macroFile?: string}} diagnostic - Error or warning object
+ * @returns {string} e.g. " (in macro PUSHALL, line 3)", " (in macro PUSHALL, macros.inc line 3)", or ""
+ */
+function formatExpansion(diagnostic) {
+  if (!diagnostic.macro) return '';
+  const file = diagnostic.macroFile ? `${diagnostic.macroFile} ` : '';
+  return ` (in macro ${diagnostic.macro}, ${file}line ${diagnostic.macroLine})`;
+}
+
 /**
  * Formats warnings for display
  * 
  * Converts warning objects into human-readable warning messages with
  * line and column information. Similar to formatErrors but for warnings.
  * 
- * @param {Array<{message: string, line: number, column?: number}>} warnings - Array of warning objects
+ * @param {Array<{message: string, line: number, column?: number, file?: string, macro?: string, macroLine?: number, macroFile?: string}>} warnings - Array of warning objects
  * @returns {string} Formatted warning messages, one per line
  * 
  * @example
@@ -175,8 +217,7 @@ export function formatWarnings(warnings) {
   if (warnings.length === 0) return 'No warnings.';
   
   return warnings.map(warn => {
-    const loc = warn.column ? `Line ${warn.line}, Col ${warn.column}` : `Line ${warn.line}`;
-    return `${loc}: ${warn.message}`;
+    return `${formatLocation(warn)}: ${warn.message}${formatExpansion(warn)}`;
   }).join('\n');
 }
 
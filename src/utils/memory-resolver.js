@@ -0,0 +1,67 @@
+/**
+ * @fileoverview In-memory file resolver for INCLUDE
+ *
+ * Lets the browser (or any host without a filesystem) supply the files that
+ * INCLUDE names from a plain object of path → contents. Paths use forward
+ * slashes and are relative to the including file, like on disk.
+ *
+ * @module utils/memory-resolver
+ */
+
+/**
+ * Creates a file resolver over a set of in-memory files
+ *
+ * @param {Object.<string, (string|Uint8Array)>} files - Contents by path,
+ *   e.g. { 'model3.inc': 'VRAM .EQU $3C00' }
+ * @returns {import('../assembler.js').FileResolver} Resolver for the fileResolver option
+ *
+ * @example
+ * const assembler = new Z80Assembler({
+ *   fileResolver: createMemoryResolver({ 'lib/model3.inc': 'VRAM .EQU $3C00' })
+ * });
+ * assembler.assemble('INCLUDE "lib/model3.inc"\nLD HL, VRAM');
+ */
+export function createMemoryResolver(files) {
+  return {
+    resolve(name, from) {
+      const base = from ? from.split('/').slice(0, -1) : [];
+      const path = normalizePath([...base, ...name.split('/')]);
+      if (!Object.hasOwn(files, path)) {
+        throw new Error(`File not found: ${name}`);
+      }
+      return path;
+    },
+
+    readText(path) {
+      const contents = files[path];
+      return typeof contents === 'string' ? contents : new TextDecoder().decode(contents);
+    },
+
+    readBinary(path) {
+      const contents = files[path];
+      // Strings are taken as one byte per character
+      return typeof contents === 'string'
+        ? Uint8Array.from(contents, char => char.charCodeAt(0) & 0xFF)
+        : contents;
+    }
+  };
+}
+
+/**
+ * Joins path segments, dropping "." and resolving ".." (a leading "/" is ignored)
+ *
+ * @private
+ * @param {string[]} segments - Path segments
+ * @returns {string} Normalized path, e.g. "lib/model3.inc"
+ */
+function normalizePath(segments) {
+  const parts = [];
+  for (const segment of segments) {
+    if (segment === '..') {
+      parts.pop();
+    } else if (segment !== '.' && segment !== '') {
+      parts.push(segment);
+    }
+  }
+  return parts.join('/');
+}
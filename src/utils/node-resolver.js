@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Filesystem file resolver for INCLUDE (Node.js only)
+ *
+ * Reads the files that INCLUDE names from disk, relative to the including
+ * file. Kept apart from the browser code because it imports node:fs.
+ *
+ * @module utils/node-resolver
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, relative, resolve, sep } from 'node:path';
+
+/**
+ * Creates a file resolver that reads from the filesystem
+ *
+ * Paths are reported relative to baseDir (the directory of the main source),
+ * so diagnostics read "lib/model3.inc, Line 3" rather than an absolute path.
+ *
+ * @param {string} [baseDir=process.cwd()] - Directory the main source's includes are relative to
+ * @returns {import('../assembler.js').FileResolver} Resolver for the fileResolver option
+ *
+ * @example
+ * const assembler = new Z80Assembler({ fileResolver: createNodeResolver('src/asm') });
+ * assembler.assemble(readFileSync('src/asm/game.asm', 'utf8'), { fileName: 'game.asm' });
+ */
+export function createNodeResolver(baseDir = process.cwd()) {
+  const absolute = path => resolve(baseDir, path);
+
+  return {
+    resolve(name, from) {
+      const path = resolve(from ? dirname(absolute(from)) : baseDir, name);
+      if (!existsSync(path)) {
+        throw new Error(`File not found: ${name}`);
+      }
+      return relative(baseDir, path).split(sep).join('/');
+    },
+
+    readText(path) {
+      return readFileSync(absolute(path), 'utf8');
+    },
+
+    readBinary(path) {
+      return new Uint8Array(readFileSync(absolute(path)));
+    }
+  };
+}